@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import { Layers, X, Plus, Trash2, Settings, RefreshCw } from 'lucide-react';
+import { buildAspectMatrix, createAspect, parseKeywords, DEFAULT_ASPECTS } from './aspects';
+import { SENTIMENT_LABELS } from './importers';
+
+const CELL_COLORS = {
+  Positive: ['bg-emerald-100 text-emerald-800', 'bg-emerald-500 text-white'],
+  Neutral: ['bg-slate-100 text-slate-700', 'bg-slate-400 text-white'],
+  Negative: ['bg-rose-100 text-rose-800', 'bg-rose-500 text-white']
+};
+
+const cellColor = (count, rowTotal, label) => {
+  if (count === 0) return 'bg-slate-50 text-slate-300';
+  return CELL_COLORS[label][count / rowTotal > 0.5 ? 1 : 0];
+};
+
+/**
+ * Dashboard card: per-aspect sentiment counts with drill-down to the
+ * matching reviews, and an editor for the aspect keyword lists.
+ */
+const AspectPanel = ({ history, aspects, onChangeAspects, extractor, onOpenReview }) => {
+  const [selectedCell, setSelectedCell] = useState(null); // { aspect, label }
+  const [isEditing, setIsEditing] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newKeywords, setNewKeywords] = useState('');
+
+  const matrix = useMemo(() => buildAspectMatrix(history, extractor), [history, extractor]);
+
+  const rowTotal = (id) => SENTIMENT_LABELS.reduce((sum, l) => sum + matrix[id][l].length, 0);
+  const selectedAspect = selectedCell && aspects.find(a => a.id === selectedCell.aspect);
+  const cellEntries = selectedAspect ? matrix[selectedCell.aspect][selectedCell.label] : [];
+
+  const addAspect = () => {
+    if (!newName.trim() || !parseKeywords(newKeywords).length) return;
+    onChangeAspects([...aspects, createAspect(newName, newKeywords)]);
+    setNewName('');
+    setNewKeywords('');
+  };
+
+  const updateKeywords = (id, text) => {
+    onChangeAspects(aspects.map(a => a.id === id ? { ...a, keywords: parseKeywords(text) } : a));
+  };
+
+  const removeAspect = (id) => {
+    onChangeAspects(aspects.filter(a => a.id !== id));
+    if (selectedCell?.aspect === id) setSelectedCell(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 border border-slate-200 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <Layers size={18} className="text-indigo-500" />
+          Aspect Sentiment
+        </h3>
+        <button
+          onClick={() => setIsEditing(e => !e)}
+          className={`text-xs font-medium px-3 py-1.5 rounded-lg border transition-colors flex items-center gap-1 ${isEditing ? 'bg-indigo-50 text-indigo-700 border-indigo-200' : 'text-slate-600 border-slate-200 hover:bg-slate-50'}`}
+        >
+          <Settings size={12} />
+          Manage aspects
+        </button>
+      </div>
+
+      {isEditing && (
+        <div className="mb-4 p-3 bg-slate-50 border border-slate-200 rounded-lg space-y-2">
+          <p className="text-xs text-slate-500">Comma-separated keywords. Single words also match their inflections (ship, shipped, shipping).</p>
+          {aspects.map(aspect => (
+            <div key={aspect.id} className="flex items-center gap-2">
+              <span className="text-sm font-medium text-slate-700 w-24 flex-shrink-0">{aspect.name}</span>
+              <input
+                key={aspect.keywords.join(',')}
+                defaultValue={aspect.keywords.join(', ')}
+                onBlur={(e) => updateKeywords(aspect.id, e.target.value)}
+                className="flex-1 text-xs bg-white border border-slate-200 rounded px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <button onClick={() => removeAspect(aspect.id)} className="text-slate-400 hover:text-rose-600 p-1" title={`Remove ${aspect.name}`}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2 pt-2 border-t border-slate-200">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Aspect name"
+              className="w-24 flex-shrink-0 text-xs bg-white border border-slate-200 rounded px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <input
+              value={newKeywords}
+              onChange={(e) => setNewKeywords(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addAspect()}
+              placeholder="battery, charge, charging"
+              className="flex-1 text-xs bg-white border border-slate-200 rounded px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button onClick={addAspect} className="text-indigo-600 hover:bg-indigo-50 p-1 rounded" title="Add aspect"><Plus size={16} /></button>
+          </div>
+          <button
+            onClick={() => { onChangeAspects(DEFAULT_ASPECTS); setSelectedCell(null); }}
+            className="text-xs text-slate-500 hover:text-slate-700 flex items-center gap-1"
+          >
+            <RefreshCw size={12} /> Reset to defaults
+          </button>
+        </div>
+      )}
+
+      {aspects.length === 0 ? (
+        <p className="text-sm text-slate-400 text-center py-6">No aspects defined. Add one under Manage aspects.</p>
+      ) : (
+        <div className="grid grid-cols-[minmax(6rem,auto)_repeat(3,1fr)_auto] gap-1 text-xs items-center">
+          <div />
+          {SENTIMENT_LABELS.map(l => <div key={l} className="text-center font-semibold text-slate-500 py-1">{l}</div>)}
+          <div className="text-right font-semibold text-slate-400 px-2">Mentions</div>
+          {aspects.map(aspect => {
+            const total = rowTotal(aspect.id);
+            return (
+              <React.Fragment key={aspect.id}>
+                <div className="font-semibold text-slate-600">{aspect.name}</div>
+                {SENTIMENT_LABELS.map(label => {
+                  const count = matrix[aspect.id][label].length;
+                  const isSelected = selectedCell?.aspect === aspect.id && selectedCell?.label === label;
+                  return (
+                    <button
+                      key={label}
+                      onClick={() => setSelectedCell(count ? { aspect: aspect.id, label } : null)}
+                      className={`h-10 rounded-lg font-bold text-sm transition-all ${cellColor(count, total, label)} ${isSelected ? 'ring-2 ring-indigo-500 ring-offset-1' : ''}`}
+                    >
+                      {count}
+                    </button>
+                  );
+                })}
+                <div className="text-right font-mono text-slate-400 px-2">{total}</div>
+              </React.Fragment>
+            );
+          })}
+        </div>
+      )}
+
+      {selectedAspect && (
+        <div className="mt-4 border border-slate-200 rounded-lg">
+          <div className="p-3 border-b border-slate-100 flex justify-between items-center">
+            <h4 className="text-sm font-semibold text-slate-700">{selectedAspect.name}: {selectedCell.label} ({cellEntries.length})</h4>
+            <button onClick={() => setSelectedCell(null)} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+          </div>
+          <ul className="divide-y divide-slate-100 max-h-72 overflow-y-auto">
+            {cellEntries.map(({ item, snippet, confidence }) => (
+              <li key={item.id} className="p-3">
+                <button onClick={() => onOpenReview(String(item.id))} className="text-left w-full group">
+                  <p className="text-sm text-slate-800 font-medium group-hover:text-indigo-600">“{snippet}”</p>
+                  <p className="text-xs text-slate-500 mt-1 line-clamp-2">
+                    {item.text}
+                    <span className="ml-2 font-mono text-slate-400">{Math.round(confidence * 100)}% · review labeled {item.label}</span>
+                  </p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AspectPanel;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ShieldCheck, Play, Square, AlertCircle, Bot, Cpu, RefreshCw } from 'lucide-react';
+import { sampleItems, createAuditRecord, isDisagreement, summarizeAudit } from './audit';
+import { runQueue } from './taskQueue';
+import { SENTIMENT_LABELS } from './importers';
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+const SAMPLE_SIZES = [0, 25, 50, 100, 250];
+const CONCURRENCY_OPTIONS = [1, 2, 4, 8];
+const RATE_OPTIONS = [15, 30, 60, 0];
+
+const selectClass = 'text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none';
+
+/**
+ * AI audit tab: runs the LLM over history as a second annotator and lists
+ * the reviews where it disagrees with the current label. The run belongs to
+ * this panel, so leaving the tab stops it.
+ */
+const AuditPanel = ({ history, classify, providerLabel, onRecord, onAdopt }) => {
+  const [sampleSize, setSampleSize] = useState(50);
+  const [concurrency, setConcurrency] = useState(2);
+  const [requestsPerMinute, setRequestsPerMinute] = useState(30);
+  const [skipAudited, setSkipAudited] = useState(true);
+  const [showResolved, setShowResolved] = useState(false);
+  const [progress, setProgress] = useState(null); // { total, done, failed, lastError, running }
+  const stopRef = useRef(false);
+
+  useEffect(() => () => { stopRef.current = true; }, []);
+
+  const candidates = skipAudited ? history.filter(item => !item.aiAudit) : history;
+  const summary = useMemo(() => summarizeAudit(history), [history]);
+  const disagreements = history.filter(item => isDisagreement(item) && (showResolved || !item.aiAudit.resolvedAt));
+
+  const startAudit = async () => {
+    const items = sampleItems(candidates, sampleSize);
+    if (!items.length) return;
+    stopRef.current = false;
+    setProgress({ total: items.length, done: 0, failed: 0, lastError: null, running: true });
+
+    const outcome = await runQueue(items, classify, {
+      concurrency,
+      requestsPerMinute,
+      shouldStop: () => stopRef.current,
+      onResult: (item, result) => {
+        if (result.ok) onRecord(item.id, createAuditRecord(item, result.data));
+        setProgress(prev => ({
+          ...prev,
+          done: prev.done + 1,
+          failed: prev.failed + (result.ok ? 0 : 1),
+          lastError: result.ok ? prev.lastError : `${result.error.message} (${result.error.type} error)`
+        }));
+      }
+    });
+    setProgress(prev => ({ ...prev, running: false, stopped: outcome.stopped }));
+  };
+
+  const isRunning = progress?.running;
+
+  return (
+    <div className="space-y-6 animate-in fade-in zoom-in-95 duration-300">
+      {/* Controls */}
+      <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm flex flex-wrap items-end gap-4">
+        <div>
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <ShieldCheck size={18} className="text-indigo-500" />
+            AI Label Audit
+          </h3>
+          <p className="text-xs text-slate-500 mt-1">{candidates.length} reviews to audit with {providerLabel}</p>
+        </div>
+        <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+          Sample
+          <select value={sampleSize} onChange={(e) => setSampleSize(Number(e.target.value))} disabled={isRunning} className={selectClass}>
+            {SAMPLE_SIZES.map(n => <option key={n} value={n}>{n ? `${n} random` : 'All'}</option>)}
+          </select>
+        </label>
+        <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+          Parallel
+          <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} disabled={isRunning} className={selectClass}>
+            {CONCURRENCY_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+          Rate limit
+          <select value={requestsPerMinute} onChange={(e) => setRequestsPerMinute(Number(e.target.value))} disabled={isRunning} className={selectClass}>
+            {RATE_OPTIONS.map(n => <option key={n} value={n}>{n ? `${n} / min` : 'None'}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-600 flex items-center gap-2 pb-2">
+          <input type="checkbox" checked={skipAudited} onChange={(e) => setSkipAudited(e.target.checked)} disabled={isRunning} />
+          Skip already audited
+        </label>
+        {isRunning ? (
+          <button
+            onClick={() => { stopRef.current = true; }}
+            className="bg-rose-600 hover:bg-rose-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 shadow-sm"
+          >
+            <Square size={14} />
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={startAudit}
+            disabled={!candidates.length}
+            className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 shadow-sm"
+          >
+            <Play size={14} />
+            Run Audit
+          </button>
+        )}
+      </div>
+
+      {progress && (
+        <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm space-y-2">
+          <div className="flex justify-between text-xs text-slate-500">
+            <span className="flex items-center gap-2">
+              {isRunning && <RefreshCw size={12} className="animate-spin" />}
+              {isRunning ? 'Auditing' : progress.stopped ? 'Stopped' : 'Finished'}: {progress.done} / {progress.total}
+            </span>
+            {progress.failed > 0 && <span className="text-rose-600">{progress.failed} failed</span>}
+          </div>
+          <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+            <div className="h-full bg-indigo-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+          </div>
+          {progress.lastError && (
+            <p className="text-xs text-rose-700 flex items-center gap-1"><AlertCircle size={12} /> {progress.lastError}</p>
+          )}
+        </div>
+      )}
+
+      {summary.total > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+          <div className="lg:col-span-7 grid grid-cols-2 sm:grid-cols-4 gap-3 content-start">
+            <div className="bg-indigo-50 p-3 rounded-xl border border-indigo-100 text-center">
+              <div className="text-2xl font-bold text-indigo-700">{pct(summary.agreement)}</div>
+              <div className="text-xs font-semibold text-indigo-600 uppercase">Agreement</div>
+            </div>
+            <div className="bg-slate-50 p-3 rounded-xl border border-slate-200 text-center">
+              <div className="text-2xl font-bold text-slate-700">{summary.kappa.toFixed(2)}</div>
+              <div className="text-xs font-semibold text-slate-500 uppercase" title="Agreement corrected for chance">Cohen's κ</div>
+            </div>
+            <div className="bg-slate-50 p-3 rounded-xl border border-slate-200 text-center">
+              <div className="text-2xl font-bold text-slate-700">{summary.total}</div>
+              <div className="text-xs font-semibold text-slate-500 uppercase">Audited</div>
+            </div>
+            <div className="bg-rose-50 p-3 rounded-xl border border-rose-100 text-center">
+              <div className="text-2xl font-bold text-rose-700">{summary.disagreed}</div>
+              <div className="text-xs font-semibold text-rose-600 uppercase">Disagree</div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-5 bg-white rounded-xl border border-slate-200 shadow-sm p-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-3">Label Agreement <span className="text-xs font-normal text-slate-400">(rows: label at audit time, columns: AI)</span></h4>
+            <div className="grid grid-cols-4 gap-1 text-xs">
+              <div />
+              {SENTIMENT_LABELS.map(ai => <div key={ai} className="text-center font-semibold text-slate-500 py-1">{ai}</div>)}
+              {SENTIMENT_LABELS.map(local => (
+                <React.Fragment key={local}>
+                  <div className="font-semibold text-slate-500 flex items-center">{local}</div>
+                  {SENTIMENT_LABELS.map(ai => (
+                    <div
+                      key={ai}
+                      className={`h-10 rounded-lg font-bold flex items-center justify-center ${summary.matrix[local][ai] === 0 ? 'bg-slate-50 text-slate-300' : local === ai ? 'bg-emerald-100 text-emerald-800' : 'bg-rose-100 text-rose-800'}`}
+                    >
+                      {summary.matrix[local][ai]}
+                    </div>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Disagreement list */}
+      {summary.total > 0 && (
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+          <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+            <h4 className="text-sm font-semibold text-slate-700">Disagreements ({disagreements.length})</h4>
+            <label className="text-xs text-slate-600 flex items-center gap-2">
+              <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+              Show resolved
+            </label>
+          </div>
+          {disagreements.length === 0 ? (
+            <p className="p-6 text-center text-sm text-slate-400">No open disagreements.</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 max-h-[32rem] overflow-y-auto">
+              {disagreements.map(item => (
+                <li key={item.id} className="p-4 space-y-2">
+                  <p className="text-sm text-slate-700 leading-relaxed">{item.text}</p>
+                  <p className="text-xs text-slate-500 italic">AI: {item.aiAudit.reasoning}</p>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => onAdopt(item.id, item.label)}
+                      className="text-xs font-medium px-3 py-1.5 rounded-lg border border-slate-200 text-slate-700 hover:bg-slate-50 flex items-center gap-1"
+                    >
+                      <Cpu size={12} /> Keep {item.label}
+                    </button>
+                    <button
+                      onClick={() => onAdopt(item.id, item.aiAudit.label)}
+                      className="text-xs font-medium px-3 py-1.5 rounded-lg border border-indigo-200 text-indigo-700 bg-indigo-50 hover:bg-indigo-100 flex items-center gap-1"
+                    >
+                      <Bot size={12} /> Use AI: {item.aiAudit.label} · {Math.round(item.aiAudit.confidence * 100)}%
+                    </button>
+                    {item.aiAudit.resolvedAt && <span className="text-[10px] text-emerald-600 self-center">Resolved</span>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditPanel;
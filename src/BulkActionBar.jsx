@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { CheckSquare, X, Trash2, Tag, Sparkles, RefreshCw, RotateCcw, AlertCircle, Square } from 'lucide-react';
+import { SENTIMENT_LABELS } from './importers';
+
+const buttonClass = 'text-xs font-medium px-3 py-1.5 rounded-lg border transition-colors flex items-center gap-1 disabled:opacity-50';
+
+/**
+ * Floating bar for acting on the selected reviews. Also hosts the smart-reply
+ * job progress and the undo prompt after a delete, which outlive the selection.
+ */
+const BulkActionBar = ({
+  selectedCount, matchCount, onSelectAll, onClear,
+  onRelabel, onTag, onDelete, onDraftReplies,
+  replyJob, onRetryReplies, onStopReplies, onDismissReplies,
+  undo, onUndo, onDismissUndo
+}) => {
+  const [tag, setTag] = useState('');
+
+  const applyTag = () => {
+    if (!tag.trim()) return;
+    onTag(tag.trim());
+    setTag('');
+  };
+
+  if (!selectedCount && !replyJob && !undo) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[min(56rem,calc(100%-2rem))] space-y-2">
+      {undo && (
+        <div className="bg-slate-800 text-white rounded-xl shadow-xl px-4 py-2 text-sm flex items-center justify-between">
+          <span>Deleted {undo.entries.length} review{undo.entries.length === 1 ? '' : 's'}.</span>
+          <div className="flex items-center gap-2">
+            <button onClick={onUndo} className="font-semibold text-indigo-300 hover:text-indigo-200 flex items-center gap-1"><RotateCcw size={14} /> Undo</button>
+            <button onClick={onDismissUndo} className="text-slate-400 hover:text-white"><X size={14} /></button>
+          </div>
+        </div>
+      )}
+
+      {replyJob && (
+        <div className="bg-white rounded-xl shadow-xl border border-slate-200 px-4 py-3 text-sm space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="flex items-center gap-2 text-slate-700">
+              {replyJob.running ? <RefreshCw size={14} className="animate-spin text-indigo-500" /> : <Sparkles size={14} className="text-indigo-500" />}
+              {replyJob.running ? 'Drafting replies' : 'Replies drafted'}: {replyJob.done} / {replyJob.total}
+              {replyJob.failures.length > 0 && <span className="text-rose-600">· {replyJob.failures.length} failed</span>}
+              {replyJob.unstarted.length > 0 && <span className="text-slate-500">· {replyJob.unstarted.length} not started</span>}
+            </span>
+            <div className="flex items-center gap-2">
+              {replyJob.running ? (
+                <button onClick={onStopReplies} className={`${buttonClass} border-slate-200 text-slate-600 hover:bg-slate-50`}><Square size={12} /> Stop</button>
+              ) : (
+                <>
+                  {(replyJob.failures.length > 0 || replyJob.unstarted.length > 0) && (
+                    <button onClick={onRetryReplies} className={`${buttonClass} border-indigo-200 text-indigo-700 bg-indigo-50 hover:bg-indigo-100`}>
+                      <RotateCcw size={12} /> {replyJob.unstarted.length ? 'Retry remaining' : 'Retry failed'}
+                    </button>
+                  )}
+                  <button onClick={onDismissReplies} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+                </>
+              )}
+            </div>
+          </div>
+          <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+            <div className="h-full bg-indigo-500 transition-all" style={{ width: `${(replyJob.done / replyJob.total) * 100}%` }} />
+          </div>
+          {replyJob.failures.length > 0 && !replyJob.running && (
+            <ul className="text-xs text-rose-700 max-h-20 overflow-y-auto space-y-0.5">
+              {replyJob.failures.map(f => (
+                <li key={f.id} className="flex items-start gap-1"><AlertCircle size={12} className="flex-shrink-0 mt-0.5" /> <span className="truncate">“{f.text}”: {f.message}</span></li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {selectedCount > 0 && (
+        <div className="bg-white rounded-xl shadow-xl border border-indigo-200 px-4 py-3 flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-semibold text-indigo-700 flex items-center gap-1"><CheckSquare size={16} /> {selectedCount} selected</span>
+          {selectedCount < matchCount && (
+            <button onClick={onSelectAll} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">Select all {matchCount} matching</button>
+          )}
+          <button onClick={onClear} className="text-xs text-slate-500 hover:text-slate-700">Clear</button>
+
+          <div className="flex items-center gap-2 ml-auto">
+            <select
+              value=""
+              onChange={(e) => e.target.value && onRelabel(e.target.value)}
+              className="text-xs bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none"
+            >
+              <option value="">Relabel as…</option>
+              {SENTIMENT_LABELS.map(l => <option key={l} value={l}>{l}</option>)}
+            </select>
+            <div className="flex items-center bg-slate-50 border border-slate-200 rounded-lg">
+              <input
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && applyTag()}
+                placeholder="Add tag"
+                className="text-xs bg-transparent px-2 py-1.5 w-24 outline-none"
+              />
+              <button onClick={applyTag} disabled={!tag.trim()} className="px-2 text-slate-500 hover:text-indigo-600 disabled:opacity-50" title="Tag selected"><Tag size={12} /></button>
+            </div>
+            <button
+              onClick={onDraftReplies}
+              disabled={replyJob?.running}
+              className={`${buttonClass} border-indigo-200 text-indigo-700 bg-indigo-50 hover:bg-indigo-100`}
+            >
+              <Sparkles size={12} /> Draft replies
+            </button>
+            <button onClick={onDelete} className={`${buttonClass} border-rose-200 text-rose-700 bg-rose-50 hover:bg-rose-100`}>
+              <Trash2 size={12} /> Delete
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,129 @@
+import React, { useState, useMemo } from 'react';
+import { X, Copy, Upload, Trash2 } from 'lucide-react';
+import { DEDUPE_DEFAULTS, DUPLICATE_ACTIONS, findImportDuplicates, findHistoryDuplicates } from './dedupe';
+
+const THRESHOLDS = [0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * Modal for resolving duplicates, either in an import before it lands
+ * (`incoming` against `existing`) or within the existing history
+ * (`incoming` omitted). Pairs already found at the default threshold can
+ * be passed as `initialPairs` so they are not searched for again.
+ * `onConfirm({ pairs, actions, skip, merge, keep })` receives the decisions
+ * rather than a resolved list, so they can be applied to the latest history
+ * with `resolveDuplicates`.
+ */
+const DuplicateReview = ({ fileName, incoming, existing, initialPairs, onConfirm, onCancel }) => {
+  const isImport = Boolean(incoming);
+  const [threshold, setThreshold] = useState(DEDUPE_DEFAULTS.threshold);
+  const [actions, setActions] = useState({});
+
+  const pairs = useMemo(() => {
+    if (initialPairs && threshold === DEDUPE_DEFAULTS.threshold) return initialPairs;
+    return isImport ? findImportDuplicates(incoming, existing, { threshold }) : findHistoryDuplicates(existing, { threshold });
+  }, [initialPairs, isImport, incoming, existing, threshold]);
+
+  // In the history tool "skip" removes an item that is already there
+  const actionLabels = isImport ? DUPLICATE_ACTIONS : { ...DUPLICATE_ACTIONS, skip: 'Remove' };
+  const actionOf = (pair) => actions[pair.item.id] || 'skip';
+  const setAll = (action) => setActions(Object.fromEntries(pairs.map(pair => [pair.item.id, action])));
+
+  const counts = pairs.reduce((acc, pair) => ({ ...acc, [actionOf(pair)]: acc[actionOf(pair)] + 1 }), { skip: 0, merge: 0, keep: 0 });
+
+  const confirm = () => onConfirm({ pairs, actions, ...counts });
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Copy size={18} className="text-indigo-500" />
+            {isImport ? <>Duplicates — <span className="font-mono text-sm text-slate-500">{fileName}</span></> : 'Find Duplicates'}
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600 p-1 rounded"><X size={16} /></button>
+        </div>
+
+        <div className="p-4 border-b border-slate-100 flex flex-wrap items-center gap-4 text-sm text-slate-600">
+          <span>
+            {pairs.length === 0
+              ? 'No duplicates found.'
+              : isImport
+                ? `${pairs.length} of ${incoming.length} imported reviews duplicate existing or earlier rows.`
+                : `${pairs.length} of ${existing.length} reviews duplicate another review.`}
+          </span>
+          <label className="text-xs font-semibold text-slate-500 uppercase flex items-center gap-2 ml-auto">
+            Near-duplicate similarity
+            <select
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+              className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none"
+            >
+              {THRESHOLDS.map(t => <option key={t} value={t}>≥ {Math.round(t * 100)}%</option>)}
+            </select>
+          </label>
+          {pairs.length > 0 && (
+            <div className="flex items-center gap-1 text-xs">
+              <span className="text-slate-400 mr-1">Set all:</span>
+              {Object.entries(actionLabels).map(([action, label]) => (
+                <button key={action} onClick={() => setAll(action)} className="px-2 py-1 rounded border border-slate-200 hover:bg-slate-50">{label}</button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <ul className="divide-y divide-slate-100 overflow-y-auto flex-1">
+          {pairs.map(pair => (
+            <li key={pair.item.id} className="p-4 grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3 items-start">
+              <div className="text-sm">
+                <div className="text-[10px] font-semibold uppercase text-slate-400 mb-1">{isImport ? 'Incoming' : 'Duplicate'} · {pair.item.label}</div>
+                <p className="text-slate-700 leading-relaxed">{pair.item.text}</p>
+              </div>
+              <div className="text-sm">
+                <div className="text-[10px] font-semibold uppercase text-slate-400 mb-1">
+                  {isImport ? (pair.incoming ? 'Earlier in this file' : 'Already in history') : 'Kept'} · {pair.match.label} ·{' '}
+                  <span className={pair.kind === 'exact' ? 'text-rose-500' : 'text-amber-600'}>
+                    {pair.kind === 'exact' ? 'Exact' : `${Math.round(pair.similarity * 100)}% similar`}
+                  </span>
+                </div>
+                <p className="text-slate-500 leading-relaxed">{pair.match.text}</p>
+              </div>
+              <div className="flex rounded-lg border border-slate-200 overflow-hidden text-xs self-center">
+                {Object.entries(actionLabels).map(([action, label]) => (
+                  <button
+                    key={action}
+                    onClick={() => setActions(prev => ({ ...prev, [pair.item.id]: action }))}
+                    className={`px-2 py-1 ${actionOf(pair) === action ? 'bg-indigo-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="p-4 border-t border-slate-100 flex justify-between items-center">
+          <span className="text-xs text-slate-500">
+            {counts.skip} {actionLabels.skip.toLowerCase()} · {counts.merge} merge · {counts.keep} keep
+            {isImport && ` · ${incoming.length - counts.skip - counts.merge} reviews will be imported`}
+          </span>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={confirm}
+              disabled={!isImport && pairs.length === 0}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              {isImport ? <Upload size={14} /> : <Trash2 size={14} />}
+              {isImport ? 'Import' : 'Apply'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReview;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Gauge, Play, AlertCircle, X } from 'lucide-react';
+import { evaluateClassifier } from './evaluation';
+import { SENTIMENT_LABELS } from './importers';
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+const cellColor = (count, max, isDiagonal) => {
+  if (count === 0) return 'bg-slate-50 text-slate-300';
+  const strong = count / max > 0.5;
+  if (isDiagonal) return strong ? 'bg-emerald-500 text-white' : 'bg-emerald-100 text-emerald-800';
+  return strong ? 'bg-rose-500 text-white' : 'bg-rose-100 text-rose-800';
+};
+
+/**
+ * Evaluation tab: measures the classifier on held-out data from the current
+ * history and lets the user drill into misclassified reviews.
+ */
+const EvaluationPanel = ({ history, tokenizerOptions, onCorrection }) => {
+  const [mode, setMode] = useState('holdout');
+  const [testRatio, setTestRatio] = useState(0.2);
+  const [folds, setFolds] = useState(5);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedCell, setSelectedCell] = useState(null); // { actual, predicted }
+
+  const runEvaluation = () => {
+    try {
+      setResults(evaluateClassifier(history, { mode, testRatio, folds, tokenizerOptions }));
+      setError(null);
+      setSelectedCell(null);
+    } catch (err) {
+      setResults(null);
+      setError(err.message);
+    }
+  };
+
+  const maxCell = results
+    ? Math.max(1, ...SENTIMENT_LABELS.flatMap(a => SENTIMENT_LABELS.map(p => results.confusion[a][p].length)))
+    : 1;
+  const cellItems = selectedCell ? results.confusion[selectedCell.actual][selectedCell.predicted] : [];
+
+  return (
+    <div className="space-y-6 animate-in fade-in zoom-in-95 duration-300">
+      {/* Controls */}
+      <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm flex flex-wrap items-end gap-4">
+        <div>
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Gauge size={18} className="text-indigo-500" />
+            Model Evaluation
+          </h3>
+          <p className="text-xs text-slate-500 mt-1">{history.length} labeled reviews available</p>
+        </div>
+        <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+          Method
+          <select value={mode} onChange={(e) => setMode(e.target.value)} className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none">
+            <option value="holdout">Train/test split</option>
+            <option value="kfold">K-fold cross-validation</option>
+          </select>
+        </label>
+        {mode === 'holdout' ? (
+          <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+            Test share
+            <select value={testRatio} onChange={(e) => setTestRatio(Number(e.target.value))} className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none">
+              {[0.1, 0.2, 0.3, 0.5].map(r => <option key={r} value={r}>{pct(r)}</option>)}
+            </select>
+          </label>
+        ) : (
+          <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+            Folds
+            <select value={folds} onChange={(e) => setFolds(Number(e.target.value))} className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none">
+              {[3, 5, 10].map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+          </label>
+        )}
+        <button
+          onClick={runEvaluation}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 shadow-sm"
+        >
+          <Play size={14} />
+          Run Evaluation
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-rose-50 border border-rose-100 rounded-lg text-sm text-rose-700 flex items-center gap-2">
+          <AlertCircle size={16} /> {error}
+        </div>
+      )}
+
+      {results && (
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+          {/* Summary + per-class metrics */}
+          <div className="lg:col-span-7 space-y-4">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="bg-indigo-50 p-3 rounded-xl border border-indigo-100 text-center">
+                <div className="text-2xl font-bold text-indigo-700">{pct(results.accuracy)}</div>
+                <div className="text-xs font-semibold text-indigo-600 uppercase">Accuracy</div>
+              </div>
+              <div className="bg-slate-50 p-3 rounded-xl border border-slate-200 text-center">
+                <div className="text-2xl font-bold text-slate-700">{pct(results.macroF1)}</div>
+                <div className="text-xs font-semibold text-slate-500 uppercase">Macro F1</div>
+              </div>
+              <div className="bg-slate-50 p-3 rounded-xl border border-slate-200 text-center">
+                <div className="text-2xl font-bold text-slate-700">{results.total}</div>
+                <div className="text-xs font-semibold text-slate-500 uppercase">
+                  {results.mode === 'kfold' ? `Tested (${results.folds}-fold)` : 'Test reviews'}
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-xs uppercase text-slate-500">
+                  <tr>
+                    <th className="text-left px-4 py-2">Class</th>
+                    <th className="text-right px-4 py-2">Precision</th>
+                    <th className="text-right px-4 py-2">Recall</th>
+                    <th className="text-right px-4 py-2">F1</th>
+                    <th className="text-right px-4 py-2">Support</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {SENTIMENT_LABELS.map(label => (
+                    <tr key={label} className="border-t border-slate-100">
+                      <td className="px-4 py-2 font-medium text-slate-700">{label}</td>
+                      <td className="px-4 py-2 text-right font-mono">{pct(results.perClass[label].precision)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{pct(results.perClass[label].recall)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{pct(results.perClass[label].f1)}</td>
+                      <td className="px-4 py-2 text-right font-mono text-slate-500">{results.perClass[label].support}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Confusion matrix */}
+          <div className="lg:col-span-5 bg-white rounded-xl border border-slate-200 shadow-sm p-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-3">Confusion Matrix <span className="text-xs font-normal text-slate-400">(rows: actual, columns: predicted)</span></h4>
+            <div className="grid grid-cols-4 gap-1 text-xs">
+              <div />
+              {SENTIMENT_LABELS.map(p => <div key={p} className="text-center font-semibold text-slate-500 py-1">{p}</div>)}
+              {SENTIMENT_LABELS.map(actual => (
+                <React.Fragment key={actual}>
+                  <div className="font-semibold text-slate-500 flex items-center">{actual}</div>
+                  {SENTIMENT_LABELS.map(predicted => {
+                    const count = results.confusion[actual][predicted].length;
+                    const isSelected = selectedCell?.actual === actual && selectedCell?.predicted === predicted;
+                    return (
+                      <button
+                        key={predicted}
+                        onClick={() => setSelectedCell(count ? { actual, predicted } : null)}
+                        className={`h-14 rounded-lg font-bold text-base transition-all ${cellColor(count, maxCell, actual === predicted)} ${isSelected ? 'ring-2 ring-indigo-500 ring-offset-1' : ''}`}
+                      >
+                        {count}
+                      </button>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Drill-down list */}
+      {selectedCell && (
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+          <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+            <h4 className="text-sm font-semibold text-slate-700">
+              Labeled {selectedCell.actual}, predicted {selectedCell.predicted} ({cellItems.length})
+            </h4>
+            <button onClick={() => setSelectedCell(null)} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+          </div>
+          <ul className="divide-y divide-slate-100 max-h-96 overflow-y-auto">
+            {cellItems.map(item => (
+              <li key={item.id} className="p-4 flex items-start justify-between gap-4">
+                <p className="text-sm text-slate-700 leading-relaxed">{item.text}</p>
+                <select
+                  defaultValue={item.label}
+                  onChange={(e) => onCorrection(item.id, e.target.value)}
+                  className="text-xs bg-slate-50 border border-slate-200 rounded px-2 py-1 text-slate-700 outline-none flex-shrink-0"
+                  title="Fix the label (re-run evaluation to refresh)"
+                >
+                  {SENTIMENT_LABELS.map(l => <option key={l} value={l}>{l}</option>)}
+                </select>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationPanel;
@@ -0,0 +1,108 @@
+import React, { useState, useMemo } from 'react';
+import { Info, X } from 'lucide-react';
+
+const TOP_TOKENS = 8;
+
+const highlightClass = (weight) => {
+  if (weight === undefined) return '';
+  const strength = Math.abs(weight);
+  if (strength < 0.1) return '';
+  if (weight > 0) return strength > 1.5 ? 'bg-emerald-200 text-emerald-900' : strength > 0.5 ? 'bg-emerald-100' : 'bg-emerald-50';
+  return strength > 1.5 ? 'bg-rose-200 text-rose-900' : strength > 0.5 ? 'bg-rose-100' : 'bg-rose-50';
+};
+
+const formatWeight = (w) => `${w > 0 ? '+' : ''}${w.toFixed(2)}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wraps case-insensitive matches of any search term in <mark>
+const MarkedText = ({ text, terms }) => {
+  if (!terms || !terms.length) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) => (i % 2
+    ? <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">{part}</mark>
+    : part));
+};
+
+/**
+ * Renders text with each known word tinted by how strongly it pushes the
+ * classifier toward Positive (green) or Negative (red). `highlightTerms`
+ * additionally marks search matches.
+ */
+export const HighlightedText = ({ segments, highlightTerms }) => (
+  <>
+    {segments.map((seg, i) => (
+      seg.token
+        ? <span key={i} className={`rounded px-0.5 ${highlightClass(seg.weight)}`} title={`${seg.token}: ${formatWeight(seg.weight)}`}><MarkedText text={seg.text} terms={highlightTerms} /></span>
+        : <React.Fragment key={i}><MarkedText text={seg.text} terms={highlightTerms} /></React.Fragment>
+    ))}
+  </>
+);
+
+/**
+ * Popover listing the tokens that contributed most to the prediction, with
+ * the Positive-vs-Negative log-likelihood ratio and per-class log-likelihoods.
+ */
+export const ExplainPopover = ({ contributions, onClose }) => (
+  <div className="absolute z-20 mt-2 w-80 bg-white rounded-xl shadow-xl border border-slate-200 p-3 text-xs" onClick={(e) => e.stopPropagation()}>
+    <div className="flex justify-between items-center mb-2">
+      <span className="font-semibold text-slate-700">Top contributing tokens</span>
+      <button onClick={onClose} className="text-slate-400 hover:text-slate-600"><X size={12} /></button>
+    </div>
+    {contributions.length === 0 ? (
+      <p className="text-slate-400 italic">No tokens survived tokenization.</p>
+    ) : (
+      <table className="w-full">
+        <thead className="text-[10px] uppercase text-slate-400">
+          <tr>
+            <th className="text-left py-1">Token</th>
+            <th className="text-right">Pos</th>
+            <th className="text-right">Neu</th>
+            <th className="text-right">Neg</th>
+            <th className="text-right">Weight</th>
+          </tr>
+        </thead>
+        <tbody className="font-mono">
+          {contributions.slice(0, TOP_TOKENS).map(c => (
+            <tr key={c.token} className="border-t border-slate-100">
+              <td className="py-1 text-slate-700">
+                {c.token}{c.count > 1 && <span className="text-slate-400"> ×{c.count}</span>}
+                {!c.known && <span className="text-slate-400 font-sans italic"> unseen</span>}
+              </td>
+              <td className="text-right text-slate-500">{c.logLikelihood.Positive.toFixed(1)}</td>
+              <td className="text-right text-slate-500">{c.logLikelihood.Neutral.toFixed(1)}</td>
+              <td className="text-right text-slate-500">{c.logLikelihood.Negative.toFixed(1)}</td>
+              <td className={`text-right font-semibold ${c.weight > 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{formatWeight(c.weight)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    <p className="mt-2 text-[10px] text-slate-400">Weight = log P(token|Positive) − log P(token|Negative), summed over occurrences.</p>
+  </div>
+);
+
+/**
+ * Highlighted text plus an "explain" toggle. `explain` is the classifier's
+ * explain(); `modelVersion` changes whenever the model is retrained.
+ */
+export const ExplainableText = ({ text, explain, modelVersion, highlightTerms, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const explanation = useMemo(() => explain(text), [text, explain, modelVersion]);
+
+  return (
+    <div className="relative">
+      <p className={className}>
+        <HighlightedText segments={explanation.segments} highlightTerms={highlightTerms} />
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="ml-1 inline-flex items-center gap-0.5 align-middle text-[10px] font-medium text-slate-400 hover:text-indigo-600"
+          title="Explain this prediction"
+        >
+          <Info size={10} /> explain
+        </button>
+      </p>
+      {isOpen && <ExplainPopover contributions={explanation.contributions} onClose={() => setIsOpen(false)} />}
+    </div>
+  );
+};
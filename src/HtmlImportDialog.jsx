@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import { X, Code, ArrowRight } from 'lucide-react';
+import { HTML_FIELDS, parseHTML, suggestSelectors, extractBlocks } from './htmlImport';
+
+const PREVIEW_BLOCKS = 5;
+
+const FIELD_LABELS = {
+  text: 'Text (optional)',
+  date: 'Date',
+  rating: 'Rating',
+  author: 'Author'
+};
+
+const inputClass = 'text-sm font-normal normal-case font-mono bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Modal for picking review blocks out of a saved HTML page with CSS
+ * selectors. The block selector is prefilled with the best suggestion;
+ * field selectors are relative to each block. `onConfirm(records)`
+ * receives the extracted { text, date, rating, author } objects.
+ */
+const HtmlImportDialog = ({ fileName, html, onConfirm, onCancel }) => {
+  const doc = useMemo(() => parseHTML(html), [html]);
+  const suggestions = useMemo(() => suggestSelectors(doc), [doc]);
+  const [selectors, setSelectors] = useState(() => ({
+    block: suggestions[0]?.selector || '',
+    ...Object.fromEntries(HTML_FIELDS.map(field => [field, '']))
+  }));
+
+  const { records, error } = useMemo(() => {
+    if (!selectors.block.trim()) return { records: [], error: null };
+    try {
+      return { records: extractBlocks(doc, selectors), error: null };
+    } catch (err) {
+      return { records: [], error: `Invalid selector: ${err.message}` };
+    }
+  }, [doc, selectors]);
+
+  const setSelector = (field, value) => setSelectors(prev => ({ ...prev, [field]: value }));
+  const columns = ['text', ...HTML_FIELDS.filter(field => field !== 'text' && selectors[field])];
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Code size={18} className="text-indigo-500" />
+            Extract Reviews — <span className="font-mono text-sm text-slate-500">{fileName}</span>
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600 p-1 rounded"><X size={16} /></button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <label className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+            Review block selector
+            <input
+              value={selectors.block}
+              onChange={(e) => setSelector('block', e.target.value)}
+              placeholder="e.g. div.review"
+              className={inputClass}
+            />
+          </label>
+          {suggestions.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-slate-400">Suggestions:</span>
+              {suggestions.map(s => (
+                <button
+                  key={s.selector}
+                  onClick={() => setSelector('block', s.selector)}
+                  title={s.sample}
+                  className={`font-mono px-2 py-1 rounded border transition-colors ${selectors.block === s.selector ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300'}`}
+                >
+                  {s.selector} <span className="opacity-70">×{s.count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {HTML_FIELDS.map(field => (
+              <label key={field} className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+                {FIELD_LABELS[field]}
+                <input
+                  value={selectors[field]}
+                  onChange={(e) => setSelector(field, e.target.value)}
+                  placeholder={field === 'text' ? 'whole block' : '— none —'}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+
+          {error ? (
+            <p className="text-sm text-rose-600">{error}</p>
+          ) : (
+            <div className="overflow-x-auto border border-slate-200 rounded-lg">
+              <table className="w-full text-xs">
+                <thead className="bg-slate-50">
+                  <tr>
+                    {columns.map(column => (
+                      <th key={column} className="px-3 py-2 text-left font-semibold text-slate-500 uppercase">{column}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {records.slice(0, PREVIEW_BLOCKS).map((record, i) => (
+                    <tr key={i}>
+                      {columns.map(column => (
+                        <td key={column} className="px-3 py-2 text-slate-700 max-w-md truncate">{record[column]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                  {records.length === 0 && (
+                    <tr><td colSpan={columns.length} className="px-3 py-4 text-center text-slate-400">No review blocks match this selector.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-100 flex justify-between items-center">
+          <span className="text-xs text-slate-500">{records.length} review blocks found</span>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(records)}
+              disabled={records.length === 0}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              Map columns
+              <ArrowRight size={14} />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HtmlImportDialog;
@@ -0,0 +1,188 @@
+import React, { useState, useMemo } from 'react';
+import { X, Table, Upload, Tag } from 'lucide-react';
+import {
+  guessColumnMapping, mapRowsToRecords, collectLabelValues, resolveLabel,
+  METADATA_FIELDS, SENTIMENT_LABELS
+} from './importers';
+
+const PREVIEW_ROWS = 5;
+const MAX_LABEL_VALUES = 25;
+
+const ROLE_LABELS = {
+  text: 'Review text',
+  label: 'Label (optional)',
+  date: 'Date',
+  source: 'Source',
+  product: 'Product',
+  rating: 'Rating'
+};
+
+/**
+ * Modal shown before a tabular import so the user can say which column
+ * holds the review text and which hold labels or metadata. When a label
+ * column is chosen, each distinct raw value can be mapped to a class.
+ */
+const ImportWizard = ({ fileName, rows, hasHeader, labelOverrides = {}, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(() => guessColumnMapping(rows, { hasHeader }));
+  const [overrides, setOverrides] = useState(labelOverrides);
+
+  const columnNames = useMemo(() => {
+    const first = rows[0] || [];
+    return first.map((cell, i) => (mapping.hasHeader && cell ? cell : `Column ${i + 1}`));
+  }, [rows, mapping.hasHeader]);
+
+  const previewRows = rows.slice(mapping.hasHeader ? 1 : 0, (mapping.hasHeader ? 1 : 0) + PREVIEW_ROWS);
+  const records = useMemo(() => mapRowsToRecords(rows, mapping), [rows, mapping]);
+  const labelValues = useMemo(() => collectLabelValues(rows, mapping), [rows, mapping]);
+
+  const labelSummary = useMemo(() => {
+    const summary = { accepted: 0, remapped: 0, rejected: 0 };
+    if (mapping.label >= 0) records.forEach(r => { summary[resolveLabel(r.rawLabel, overrides).status]++; });
+    return summary;
+  }, [records, overrides, mapping.label]);
+
+  const importCount = mapping.label >= 0 ? records.length - labelSummary.rejected : records.length;
+
+  const setOverride = (value, target) => {
+    const key = value.toLowerCase();
+    setOverrides(prev => {
+      const next = { ...prev };
+      if (target === 'auto') delete next[key];
+      else next[key] = target === 'reject' ? '' : target;
+      return next;
+    });
+  };
+
+  const overrideChoice = (value) => {
+    const key = value.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(overrides, key)) return 'auto';
+    return overrides[key] || 'reject';
+  };
+
+  const roleOf = (colIdx) => Object.keys(ROLE_LABELS).find(role => mapping[role] === colIdx);
+
+  const setRole = (role, value) => setMapping(prev => ({ ...prev, [role]: Number(value) }));
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Table size={18} className="text-indigo-500" />
+            Map Columns — <span className="font-mono text-sm text-slate-500">{fileName}</span>
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600 p-1 rounded"><X size={16} /></button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={mapping.hasHeader}
+              onChange={(e) => setMapping(prev => ({ ...prev, hasHeader: e.target.checked }))}
+            />
+            First row contains column names
+          </label>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {['text', 'label', ...METADATA_FIELDS].map(role => (
+              <label key={role} className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+                {ROLE_LABELS[role]}
+                <select
+                  value={mapping[role]}
+                  onChange={(e) => setRole(role, e.target.value)}
+                  className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {role !== 'text' && <option value={-1}>— None —</option>}
+                  {columnNames.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {mapping.label >= 0 && (
+            <div className="border border-slate-200 rounded-lg p-3 space-y-2">
+              <h4 className="text-xs font-semibold text-slate-500 uppercase flex items-center gap-1">
+                <Tag size={12} /> Label Mapping
+              </h4>
+              <p className="text-xs text-slate-400">Labeled rows are imported as ground truth. Map values the app doesn't recognize, or reject them.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 max-h-48 overflow-y-auto">
+                {labelValues.slice(0, MAX_LABEL_VALUES).map(({ value, count }) => {
+                  const auto = resolveLabel(value);
+                  return (
+                    <div key={value} className="flex items-center justify-between gap-2 text-sm">
+                      <span className="font-mono text-slate-700 truncate" title={value}>
+                        {value || <em className="text-slate-400">(empty)</em>} <span className="text-xs text-slate-400">×{count}</span>
+                      </span>
+                      <select
+                        value={overrideChoice(value)}
+                        onChange={(e) => setOverride(value, e.target.value)}
+                        disabled={!value}
+                        className="text-xs bg-slate-50 border border-slate-200 rounded px-1.5 py-1 text-slate-700 outline-none"
+                      >
+                        <option value="auto">Auto ({auto.label || 'Reject'})</option>
+                        {SENTIMENT_LABELS.map(l => <option key={l} value={l}>{l}</option>)}
+                        <option value="reject">Reject</option>
+                      </select>
+                    </div>
+                  );
+                })}
+              </div>
+              {labelValues.length > MAX_LABEL_VALUES && (
+                <p className="text-xs text-slate-400">+{labelValues.length - MAX_LABEL_VALUES} more values use automatic mapping.</p>
+              )}
+            </div>
+          )}
+
+          <div className="overflow-x-auto border border-slate-200 rounded-lg">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50">
+                <tr>
+                  {columnNames.map((name, i) => (
+                    <th key={i} className={`text-left px-3 py-2 font-semibold ${roleOf(i) ? 'text-indigo-700' : 'text-slate-500'}`}>
+                      {name}
+                      {roleOf(i) && <div className="text-[10px] font-medium uppercase text-indigo-400">{ROLE_LABELS[roleOf(i)]}</div>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row, r) => (
+                  <tr key={r} className="border-t border-slate-100">
+                    {row.map((cell, i) => (
+                      <td key={i} className={`px-3 py-2 align-top max-w-[240px] truncate ${mapping.text === i ? 'bg-indigo-50/60 text-slate-800' : 'text-slate-500'}`} title={cell}>
+                        {cell}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-slate-100 flex justify-between items-center">
+          <span className="text-xs text-slate-500">
+            {importCount} reviews will be imported
+            {mapping.label >= 0 && ` as ground truth (${labelSummary.accepted} accepted, ${labelSummary.remapped} remapped, ${labelSummary.rejected} rejected)`}
+          </span>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(mapping, overrides)}
+              disabled={importCount === 0}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Upload size={14} />
+              Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Smile, Frown, Meh, SkipForward, Target, CheckCircle } from 'lucide-react';
+import { rankByUncertainty } from './activeLearning';
+import { ExplainableText } from './Explanation';
+
+const UPCOMING = 5;
+
+const ANSWERS = [
+  { label: 'Positive', keys: ['1', 'p'], icon: Smile, className: 'bg-emerald-50 text-emerald-700 border-emerald-200 hover:bg-emerald-100' },
+  { label: 'Neutral', keys: ['2', 'u'], icon: Meh, className: 'bg-slate-50 text-slate-700 border-slate-200 hover:bg-slate-100' },
+  { label: 'Negative', keys: ['3', 'n'], icon: Frown, className: 'bg-rose-50 text-rose-700 border-rose-200 hover:bg-rose-100' }
+];
+const SKIP_KEYS = ['s', ' '];
+
+const isTypingTarget = (el) => el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+
+/**
+ * Label queue: steps through unverified reviews in order of classifier
+ * uncertainty. The ranking is recomputed whenever the model retrains.
+ */
+const LabelQueue = ({ history, predict, explain, modelVersion, onAnswer }) => {
+  const [skipped, setSkipped] = useState(() => new Set());
+  const [answeredCount, setAnsweredCount] = useState(0);
+
+  const queue = useMemo(
+    () => rankByUncertainty(history, predict, { exclude: skipped }),
+    [history, predict, modelVersion, skipped]
+  );
+  const current = queue[0];
+
+  const answer = (label) => {
+    if (!current) return;
+    onAnswer(current.item.id, label);
+    setAnsweredCount(n => n + 1);
+  };
+
+  const skip = () => {
+    if (!current) return;
+    setSkipped(prev => new Set(prev).add(current.item.id));
+  };
+
+  // The listener is registered once and reads the latest handler, which closes over `current`
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (e) => {
+    if (isTypingTarget(e.target) || e.metaKey || e.ctrlKey || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const match = ANSWERS.find(a => a.keys.includes(key));
+    if (match) {
+      e.preventDefault();
+      answer(match.label);
+    } else if (SKIP_KEYS.includes(key)) {
+      e.preventDefault();
+      skip();
+    }
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyHandlerRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6 animate-in fade-in zoom-in-95 duration-300">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <Target size={18} className="text-indigo-500" />
+          Label Queue
+        </h3>
+        <span className="text-xs text-slate-500">
+          {queue.length} unverified · {answeredCount} labeled this session{skipped.size > 0 && ` · ${skipped.size} skipped`}
+        </span>
+      </div>
+
+      {!current ? (
+        <div className="bg-white rounded-2xl border border-slate-200 p-12 text-center text-slate-500">
+          <CheckCircle size={32} className="mx-auto text-emerald-500 mb-3" />
+          <p className="font-medium">Nothing left to label.</p>
+          {skipped.size > 0 && (
+            <button onClick={() => setSkipped(new Set())} className="mt-3 text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+              Revisit {skipped.size} skipped reviews
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-6">
+            <ExplainableText
+              text={current.item.text}
+              explain={explain}
+              modelVersion={modelVersion}
+              className="text-lg text-slate-800 leading-relaxed"
+            />
+            <div className="mt-4 space-y-1">
+              {ANSWERS.map(({ label }) => (
+                <div key={label} className="flex items-center gap-2 text-xs text-slate-500">
+                  <span className="w-16">{label}</span>
+                  <div className="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-indigo-400" style={{ width: `${current.prediction.probabilities[label] * 100}%` }} />
+                  </div>
+                  <span className="w-10 text-right font-mono">{Math.round(current.prediction.probabilities[label] * 100)}%</span>
+                </div>
+              ))}
+              <p className="text-[10px] text-slate-400 pt-1">Margin between top two classes: {(current.margin * 100).toFixed(1)} pts · currently labeled {current.item.label}</p>
+            </div>
+          </div>
+          <div className="p-4 bg-slate-50 border-t border-slate-100 flex gap-2">
+            {ANSWERS.map(({ label, keys, icon: Icon, className }) => (
+              <button key={label} onClick={() => answer(label)} className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg border font-medium text-sm transition-colors ${className}`}>
+                <Icon size={16} /> {label}
+                <kbd className="text-[10px] font-mono opacity-60">{keys[0]}</kbd>
+              </button>
+            ))}
+            <button onClick={skip} className="px-4 flex items-center gap-1 rounded-lg border border-slate-200 text-slate-500 hover:bg-white text-sm">
+              <SkipForward size={14} /> Skip <kbd className="text-[10px] font-mono opacity-60">s</kbd>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {queue.length > 1 && (
+        <div>
+          <h4 className="text-xs font-semibold uppercase text-slate-400 mb-2">Up next</h4>
+          <ul className="space-y-1">
+            {queue.slice(1, 1 + UPCOMING).map(({ item, margin }) => (
+              <li key={item.id} className="flex justify-between gap-4 text-sm text-slate-500 bg-white border border-slate-100 rounded-lg px-3 py-2">
+                <span className="truncate">{item.text}</span>
+                <span className="font-mono text-xs text-slate-400 flex-shrink-0">{(margin * 100).toFixed(1)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelQueue;
@@ -0,0 +1,95 @@
+import React, { useState, useMemo } from 'react';
+import { X, ClipboardPaste, Upload } from 'lucide-react';
+import { SPLIT_MODES, ROW_ERROR_REASONS, guessSplitMode, splitReviews } from './streamImport';
+
+const PREVIEW_REVIEWS = 5;
+
+/**
+ * Modal for importing several reviews from pasted text (or text extracted
+ * from a PDF), split by line, blank line or a custom delimiter.
+ * `onConfirm(texts, errors)` receives the split reviews and skipped rows.
+ */
+const PasteImportDialog = ({ title = 'Paste Reviews', initialText = '', onConfirm, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [mode, setMode] = useState(() => guessSplitMode(initialText));
+  const [delimiter, setDelimiter] = useState('---');
+
+  const { texts, errors } = useMemo(() => splitReviews(text, mode, delimiter), [text, mode, delimiter]);
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <ClipboardPaste size={18} className="text-indigo-500" />
+            {title}
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600 p-1 rounded"><X size={16} /></button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Paste reviews here, e.g. from an email or a survey export..."
+            autoFocus
+            className="w-full h-56 p-3 text-sm bg-slate-50 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-indigo-500 resize-none font-mono"
+          />
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600">
+            {Object.entries(SPLIT_MODES).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2">
+                <input type="radio" name="split-mode" checked={mode === value} onChange={() => setMode(value)} className="accent-indigo-600" />
+                {label}
+              </label>
+            ))}
+            {mode === 'delimiter' && (
+              <input
+                value={delimiter}
+                onChange={(e) => setDelimiter(e.target.value)}
+                placeholder="e.g. ---"
+                className="w-28 text-sm font-mono bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            )}
+          </div>
+
+          {texts.length > 0 && (
+            <ol className="border border-slate-200 rounded-lg divide-y divide-slate-100 text-sm">
+              {texts.slice(0, PREVIEW_REVIEWS).map((review, i) => (
+                <li key={i} className="px-3 py-2 flex gap-3">
+                  <span className="font-mono text-xs text-slate-400 pt-0.5">{i + 1}</span>
+                  <span className="text-slate-700 line-clamp-2">{review}</span>
+                </li>
+              ))}
+              {texts.length > PREVIEW_REVIEWS && (
+                <li className="px-3 py-2 text-xs text-slate-400">+{texts.length - PREVIEW_REVIEWS} more</li>
+              )}
+            </ol>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-100 flex justify-between items-center">
+          <span className="text-xs text-slate-500">
+            {texts.length} reviews
+            {errors.total > 0 && ` · ${Object.entries(errors.counts).map(([reason, count]) => `${count} ${ROW_ERROR_REASONS[reason].toLowerCase()}`).join(' · ')} skipped`}
+          </span>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(texts, errors)}
+              disabled={texts.length === 0}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Upload size={14} />
+              Import {texts.length}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasteImportDialog;
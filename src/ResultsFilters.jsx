@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Search, X, Link2, Check, Copy } from 'lucide-react';
+import { DEFAULT_RESULTS_QUERY, SORT_OPTIONS, STATUS_OPTIONS, isDefaultQuery } from './resultsQuery';
+import { LABEL_SOURCES } from './provenance';
+import { EXPORT_FORMATS } from './exporters';
+import { SENTIMENT_LABELS } from './importers';
+
+const LABEL_CHIP_CLASSES = {
+  Positive: 'bg-emerald-600 text-white border-emerald-600',
+  Neutral: 'bg-slate-600 text-white border-slate-600',
+  Negative: 'bg-rose-600 text-white border-rose-600'
+};
+
+const fieldClass = 'text-sm bg-white border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500';
+const chipClass = 'text-xs font-medium px-3 py-1 rounded-full border transition-colors';
+const idleChipClass = 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300';
+
+/**
+ * Toolbar for the Detailed Results view. `onChange(patch)` merges into the
+ * current query; `onExport(format)` downloads the matching reviews.
+ */
+const ResultsFilters = ({ query, onChange, sourceCounts, totalCount, matchCount, onFindDuplicates, onExport }) => {
+  const [copied, setCopied] = useState(false);
+
+  const toggleLabel = (label) => onChange({
+    labels: query.labels.includes(label) ? query.labels.filter(l => l !== label) : [...query.labels, label]
+  });
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex-1 min-w-[14rem] flex items-center gap-2 bg-slate-50 border border-slate-200 rounded-lg px-3 py-1.5 focus-within:ring-2 focus-within:ring-indigo-500">
+          <Search size={14} className="text-slate-400" />
+          <input
+            value={query.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            placeholder="Search review text, metadata and tags..."
+            className="flex-1 bg-transparent text-sm outline-none text-slate-700"
+          />
+          {query.q && <button onClick={() => onChange({ q: '' })} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>}
+        </div>
+        <select value={query.sort} onChange={(e) => onChange({ sort: e.target.value })} className={fieldClass} title="Sort">
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={query.status} onChange={(e) => onChange({ status: e.target.value })} className={fieldClass} title="Verification status">
+          {Object.entries(STATUS_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <button
+          onClick={copyLink}
+          className="text-xs font-medium text-slate-600 border border-slate-200 px-3 py-2 rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-1"
+          title="Copy a link to this view"
+        >
+          {copied ? <Check size={12} className="text-emerald-500" /> : <Link2 size={12} />}
+          {copied ? 'Copied' : 'Share view'}
+        </button>
+        <button
+          onClick={onFindDuplicates}
+          className="text-xs font-medium text-slate-600 border border-slate-200 px-3 py-2 rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-1"
+          title="Find and resolve duplicate reviews"
+        >
+          <Copy size={12} />
+          Duplicates
+        </button>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onExport(e.target.value)}
+          disabled={!matchCount}
+          className={fieldClass}
+          title="Download the matching reviews"
+        >
+          <option value="">Export {matchCount}…</option>
+          {Object.entries(EXPORT_FORMATS).map(([value, format]) => <option key={value} value={value}>{format.label}</option>)}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-slate-500">
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={query.from} onChange={(e) => onChange({ from: e.target.value })} className={fieldClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={query.to} onChange={(e) => onChange({ to: e.target.value })} className={fieldClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          Confidence
+          <input
+            type="number" min="0" max="100" placeholder="0"
+            value={query.minConfidence}
+            onChange={(e) => onChange({ minConfidence: e.target.value })}
+            className={`${fieldClass} w-16`}
+          />
+          –
+          <input
+            type="number" min="0" max="100" placeholder="100"
+            value={query.maxConfidence}
+            onChange={(e) => onChange({ maxConfidence: e.target.value })}
+            className={`${fieldClass} w-16`}
+          />
+          %
+        </label>
+        <span className="ml-auto">
+          Showing <span className="font-semibold text-slate-700">{matchCount}</span> of {totalCount}
+        </span>
+        {!isDefaultQuery(query) && (
+          <button onClick={() => onChange(DEFAULT_RESULTS_QUERY)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs font-semibold uppercase text-slate-400 mr-1">Label</span>
+        {SENTIMENT_LABELS.map(label => (
+          <button
+            key={label}
+            onClick={() => toggleLabel(label)}
+            className={`${chipClass} ${query.labels.includes(label) ? LABEL_CHIP_CLASSES[label] : idleChipClass}`}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="text-xs font-semibold uppercase text-slate-400 ml-3 mr-1">Label source</span>
+        {['all', ...Object.keys(LABEL_SOURCES)].map(source => (
+          <button
+            key={source}
+            onClick={() => onChange({ source })}
+            className={`${chipClass} ${query.source === source ? 'bg-indigo-600 text-white border-indigo-600' : idleChipClass}`}
+          >
+            {source === 'all' ? 'All' : LABEL_SOURCES[source]}
+            <span className="ml-1 opacity-70">{source === 'all' ? totalCount : sourceCounts[source] || 0}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsFilters;
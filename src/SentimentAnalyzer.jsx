@@ -3,141 +3,183 @@ import {
   Smile, Frown, Meh, Send, Trash2, Activity, MessageSquare, 
   TrendingUp, AlertCircle, Upload, FileText, Bot, X, Zap,
   Sparkles, MessageCircle, Copy, Check, RefreshCw, ShieldCheck, 
-  FileSpreadsheet, FileType, LayoutDashboard, ListFilter
+  FileSpreadsheet, FileType, LayoutDashboard, ListFilter, FolderOpen, Plus, Download, Cpu, Gauge, Target, Settings, Square, Printer, ClipboardPaste, Code
 } from 'lucide-react';
+import {
+  DEFAULT_WORKSPACE, listWorkspaces, loadWorkspace, saveWorkspace,
+  deleteWorkspace, getActiveWorkspace, setActiveWorkspace, loadSettings, saveSettings
+} from './storage';
+import { callLLM, DEFAULT_LLM_SETTINGS, PROVIDERS } from './llm';
+import SettingsPanel from './SettingsPanel';
+import { callStructured, VERIFY_SCHEMA, SYNTHETIC_SCHEMA, REPORT_SCHEMA } from './structuredOutput';
+import { toConversation, trimToBudget, transcriptToMarkdown, CHAT_HISTORY_TOKENS } from './chat';
+import { buildIndex, computeStats, buildQuestionContext, buildClassSample, formatStats, formatReview, splitCitations } from './retrieval';
+import { NaiveBayesClassifier, diffDocuments } from './classifier';
+import { createClassifierClient } from './classifierClient';
+import { DEFAULT_PIPELINE, trainablePipeline } from './textPipeline';
+import { normalizeRows, mapRowsToRecords, resolveLabel, parseJSONRecords, objectsToRows } from './importers';
+import ImportWizard from './ImportWizard';
+import PasteImportDialog from './PasteImportDialog';
+import HtmlImportDialog from './HtmlImportDialog';
+import { detectFormat } from './sniff';
+import { extractPdfText } from './pdfImport';
+import { PARSERS, createParserLoader } from './parsers';
+import DuplicateReview from './DuplicateReview';
+import { findImportDuplicates, resolveDuplicates } from './dedupe';
+import { nextId, withUniqueIds } from './ids';
+import { EXPORT_FORMATS, buildExport } from './exporters';
+import {
+  streamTextFile, streamCSVFile, streamJSONLFile, splitTextLines, createRowErrors, addRowError,
+  estimateRemaining, formatDuration, formatBytes, ROW_ERROR_REASONS
+} from './streamImport';
+import { buildReportHTML } from './report';
+import EvaluationPanel from './EvaluationPanel';
+import { ExplainableText } from './Explanation';
+import LabelQueue from './LabelQueue';
+import AuditPanel from './AuditPanel';
+import AspectPanel from './AspectPanel';
+import { DEFAULT_ASPECTS, buildAspectMatrix, createAspectExtractor } from './aspects';
+import TrendPanel from './TrendPanel';
+import { datedFields, getReviewDate, buildTrend } from './trends';
+import ResultsFilters from './ResultsFilters';
+import BulkActionBar from './BulkActionBar';
+import { runQueue } from './taskQueue';
+import { DEFAULT_RESULTS_QUERY, RESULTS_PAGE_SIZE, filterResults, searchTerms, queryToParams, queryFromSearch } from './resultsQuery';
+import { needsReview } from './activeLearning';
+import { LABEL_SOURCES, getLabelSource, isTrusted, withProvenance, applyLabel } from './provenance';
 
-/**
- * --- GEMINI API UTILITIES ---
- */
-const callGemini = async (prompt, systemInstruction = "") => {
-  const apiKey = ""; // Injected at runtime
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-  
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    systemInstruction: { parts: [{ text: systemInstruction }] }
-  };
+// The worker owns training and batch prediction; `classifier` mirrors its
+// counts on the main thread for explanations and single-text prediction
+const classifier = new NaiveBayesClassifier();
+const classifierClient = createClassifierClient();
+const DEFAULT_UNCERTAINTY_THRESHOLD = 0.6;
+const parserLoader = createParserLoader();
 
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-  
-  for (let i = 0; i < 3; i++) {
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+const explainText = (text) => classifier.explain(text);
 
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      
-      const data = await response.json();
-      return data.candidates?.[0]?.content?.parts?.[0]?.text || "No response generated.";
-    } catch (error) {
-      if (i === 2) return "Error generating AI response. Please try again.";
-      await delay(1000 * Math.pow(2, i)); // Exponential backoff
-    }
-  }
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 };
+const predictText = (text) => classifier.predict(text);
 
-/**
- * --- MACHINE LEARNING ENGINE: NAIVE BAYES CLASSIFIER ---
- * Client-side training and prediction.
- */
-class NaiveBayesClassifier {
-  constructor() {
-    this.wordCounts = { Positive: {}, Negative: {}, Neutral: {} };
-    this.classCounts = { Positive: 0, Negative: 0, Neutral: 0 };
-    this.vocab = new Set();
-    this.totalDocs = 0;
-  }
+const SEED_HISTORY = [
+  { id: 1, text: "The product is great, fast delivery!", label: "Positive", timestamp: "Initial Data" },
+  { id: 2, text: "Terrible service, very slow and rude.", label: "Negative", timestamp: "Initial Data" },
+  { id: 3, text: "It's okay, nothing special.", label: "Neutral", timestamp: "Initial Data" },
+  { id: 4, text: "I love the new features.", label: "Positive", timestamp: "Initial Data" },
+  { id: 5, text: "Broken immediately. Waste of money.", label: "Negative", timestamp: "Initial Data" }
+].map(item => withProvenance(item, 'seed'));
 
-  tokenize(text) {
-    if (!text) return [];
-    return text.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2);
-  }
+const TABS = ['dashboard', 'results', 'queue', 'evaluation', 'audit'];
 
-  train(documents) {
-    this.wordCounts = { Positive: {}, Negative: {}, Neutral: {} };
-    this.classCounts = { Positive: 0, Negative: 0, Neutral: 0 };
-    this.vocab = new Set();
-    this.totalDocs = 0;
-
-    documents.forEach(doc => {
-      this.totalDocs++;
-      const category = doc.label; 
-      this.classCounts[category]++;
-      
-      const tokens = this.tokenize(doc.text);
-      tokens.forEach(token => {
-        this.vocab.add(token);
-        this.wordCounts[category][token] = (this.wordCounts[category][token] || 0) + 1;
-      });
-    });
-  }
+// The active tab and results filters live in the URL so a view can be shared
+const initialTab = () => {
+  const tab = new URLSearchParams(window.location.search).get('tab');
+  return TABS.includes(tab) ? tab : 'dashboard';
+};
 
-  predict(text) {
-    const tokens = this.tokenize(text);
-    const categories = ['Positive', 'Negative', 'Neutral'];
-    let bestCategory = 'Neutral';
-    let maxProb = -Infinity;
-    let scores = {};
-
-    categories.forEach(category => {
-      let logProb = Math.log((this.classCounts[category] || 0.1) / (this.totalDocs || 1));
-      tokens.forEach(token => {
-        const tokenCount = this.wordCounts[category][token] || 0;
-        const classTotalWords = Object.values(this.wordCounts[category]).reduce((a, b) => a + b, 0);
-        const vocabSize = this.vocab.size;
-        logProb += Math.log((tokenCount + 1) / (classTotalWords + vocabSize));
-      });
-      scores[category] = logProb;
-      if (logProb > maxProb) {
-        maxProb = logProb;
-        bestCategory = category;
-      }
-    });
-    return { label: bestCategory, scores };
+const RESULT_COLUMNS = [
+  {
+    label: 'Positive', icon: Smile, empty: 'No positive reviews yet.',
+    columnClass: 'bg-emerald-50/50 border-emerald-100', titleClass: 'text-emerald-800', iconClass: 'text-emerald-500',
+    cardClass: 'bg-white border-emerald-100 hover:border-emerald-300', badgeClass: 'bg-emerald-100 text-emerald-700'
+  },
+  {
+    label: 'Neutral', icon: Meh, empty: 'No neutral reviews yet.',
+    columnClass: 'bg-slate-50/50 border-slate-200', titleClass: 'text-slate-700', iconClass: 'text-slate-400',
+    cardClass: 'bg-white border-slate-200 hover:border-slate-300', badgeClass: 'bg-slate-100 text-slate-700'
+  },
+  {
+    label: 'Negative', icon: Frown, empty: 'No negative reviews yet.',
+    columnClass: 'bg-rose-50/50 border-rose-100', titleClass: 'text-rose-800', iconClass: 'text-rose-500',
+    cardClass: 'bg-white border-rose-100 hover:border-rose-300', badgeClass: 'bg-rose-100 text-rose-700'
   }
-}
+];
 
-const classifier = new NaiveBayesClassifier();
-const STOPWORDS = new Set(['the', 'and', 'but', 'for', 'with', 'was', 'that', 'this', 'have', 'are', 'not', 'can', 'you', 'your', 'product', 'app', 'service']);
+const initialColumnLimits = () => Object.fromEntries(RESULT_COLUMNS.map(c => [c.label, RESULTS_PAGE_SIZE]));
 
 /**
  * --- REACT COMPONENTS ---
  */
 
-const ChatBot = ({ history, onClose }) => {
-  const [messages, setMessages] = useState([
-    { role: 'bot', text: "Hi! I'm your AI Analyst. I have access to all your current reviews. Ask me anything!" }
-  ]);
+const CHAT_GREETING = "Hi! I'm your AI Analyst. I have access to all your current reviews. Ask me anything!";
+
+// Replaces the message with the same id, or appends it
+const upsertMessage = (messages, message) => (messages.some(m => m.id === message.id)
+  ? messages.map(m => m.id === message.id ? { ...m, ...message } : m)
+  : [...messages, message]);
+
+const ChatBot = ({ history, messages, setMessages, getRetrieval, knownIds, onCite, callAI, providerLabel, onExport, onClose }) => {
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [streamingId, setStreamingId] = useState(null);
   const scrollRef = useRef(null);
+  const abortRef = useRef(null);
 
   useEffect(() => {
     if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
   }, [messages, isTyping]);
 
+  // Closing the panel stops a reply in progress
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   const handleSend = async () => {
-    if (!input.trim()) return;
+    if (!input.trim() || isTyping) return;
     
-    const userMsg = { role: 'user', text: input };
+    const question = input;
+    const userMsg = { id: nextId(), role: 'user', text: question, at: new Date().toISOString() };
+    const botId = nextId();
+    const conversation = trimToBudget(toConversation([...messages, userMsg]), CHAT_HISTORY_TOKENS);
     setMessages(prev => [...prev, userMsg]);
     setInput('');
     setIsTyping(true);
 
-    // Prepare context for Gemini
-    const dataContext = JSON.stringify(history.slice(0, 50)); 
+    // Retrieve with the recent questions too, so follow-ups keep their subject
+    const query = [...messages.filter(m => m.role === 'user').slice(-2).map(m => m.text), question].join(' ');
+    const { index, stats } = getRetrieval();
+    const context = buildQuestionContext(index, stats, query);
     const systemPrompt = `You are a helpful Data Analyst assistant. You are analyzing a dataset of customer reviews. 
-    Here is the data in JSON format: ${dataContext}. 
+    Below are aggregate statistics for the full dataset and the reviews most relevant to the question, each prefixed with its ID.
+    ${context.text}
     Answer the user's questions based strictly on this data. If the answer isn't in the data, say so. 
-    Keep answers concise and professional.`;
+    Cite every review you rely on by its ID in the form [#id]. Keep answers concise and professional.`;
 
-    const response = await callGemini(input, systemPrompt);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const result = await callAI({
+      task: 'chat',
+      prompt: question,
+      messages: conversation,
+      system: systemPrompt,
+      input: { question, reviewCount: history.length, contextIds: context.ids }
+    }, {
+      signal: controller.signal,
+      onDelta: (chunk, text) => {
+        setStreamingId(botId);
+        setMessages(prev => upsertMessage(prev, { id: botId, role: 'bot', text, at: new Date().toISOString() }));
+      }
+    });
+    abortRef.current = null;
     
     setIsTyping(false);
-    setMessages(prev => [...prev, { role: 'bot', text: response }]);
+    setStreamingId(null);
+    if (result.ok) {
+      setMessages(prev => upsertMessage(prev, { id: botId, role: 'bot', text: result.text, stopped: result.stopped, at: new Date().toISOString() }));
+    } else if (result.error.type !== 'aborted') {
+      // A partial reply stays in the transcript; the error follows it
+      setMessages(prev => [...prev, { id: nextId(), role: 'bot', text: result.error.message, isError: true, at: new Date().toISOString() }]);
+    }
+  };
+
+  const startNewChat = () => {
+    if (messages.length && !window.confirm('Clear this conversation? Export it first if you want to keep it.')) return;
+    setMessages([]);
   };
 
   return (
@@ -145,19 +187,27 @@ const ChatBot = ({ history, onClose }) => {
       <div className="bg-indigo-600 p-4 flex justify-between items-center text-white">
         <div className="flex items-center gap-2">
           <Sparkles size={18} className="text-yellow-300" />
-          <span className="font-semibold text-sm">Gemini Analyst</span>
+          <span className="font-semibold text-sm">AI Analyst</span>
+          <span className="text-[10px] text-indigo-200">{providerLabel}</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <button onClick={onExport} disabled={!messages.length} className="hover:bg-indigo-700 p-1 rounded disabled:opacity-50" title="Export transcript as Markdown"><Download size={16} /></button>
+          <button onClick={startNewChat} disabled={isTyping} className="hover:bg-indigo-700 p-1 rounded disabled:opacity-50" title="New conversation"><Plus size={16} /></button>
+          <button onClick={onClose} className="hover:bg-indigo-700 p-1 rounded"><X size={16} /></button>
         </div>
-        <button onClick={onClose} className="hover:bg-indigo-700 p-1 rounded"><X size={16} /></button>
       </div>
       <div className="flex-1 overflow-y-auto p-4 bg-slate-50 space-y-4" ref={scrollRef}>
-        {messages.map((m, i) => (
-          <div key={i} className={`flex ${m.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-            <div className={`max-w-[85%] p-3 rounded-lg text-sm ${m.role === 'user' ? 'bg-indigo-600 text-white rounded-br-none' : 'bg-white border border-slate-200 text-slate-700 rounded-bl-none shadow-sm'}`}>
-              {m.text}
+        {[{ id: 'greeting', role: 'bot', text: CHAT_GREETING }, ...messages].map(m => (
+          <div key={m.id} className={`flex ${m.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            <div className={`max-w-[85%] p-3 rounded-lg text-sm ${m.role === 'user' ? 'bg-indigo-600 text-white rounded-br-none' : m.isError ? 'bg-rose-50 border border-rose-200 text-rose-700 rounded-bl-none flex gap-2' : 'bg-white border border-slate-200 text-slate-700 rounded-bl-none shadow-sm'}`}>
+              {m.isError && <AlertCircle size={14} className="flex-shrink-0 mt-0.5" />}
+              {m.role === 'bot' && !m.isError ? <CitedText text={m.text} knownIds={knownIds} onCite={onCite} /> : m.text}
+              {m.id === streamingId && <span className="inline-block w-1.5 h-3.5 bg-indigo-400 ml-0.5 animate-pulse align-middle" />}
+              {m.stopped && <div className="text-[10px] text-slate-400 italic mt-1">Stopped</div>}
             </div>
           </div>
         ))}
-        {isTyping && (
+        {isTyping && !streamingId && (
           <div className="flex justify-start">
              <div className="bg-white border border-slate-200 px-4 py-3 rounded-xl rounded-bl-none shadow-sm flex gap-1">
                 <span className="w-2 h-2 bg-indigo-400 rounded-full animate-bounce"></span>
@@ -175,71 +225,336 @@ const ChatBot = ({ history, onClose }) => {
           onChange={(e) => setInput(e.target.value)}
           onKeyDown={(e) => e.key === 'Enter' && handleSend()}
         />
-        <button onClick={handleSend} disabled={isTyping} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors">
-          <Send size={18} />
-        </button>
+        {isTyping ? (
+          <button onClick={() => abortRef.current?.abort()} className="bg-rose-600 text-white p-2 rounded-lg hover:bg-rose-700 transition-colors" title="Stop generating">
+            <Square size={18} />
+          </button>
+        ) : (
+          <button onClick={handleSend} className="bg-indigo-600 text-white p-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors">
+            <Send size={18} />
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('dashboard'); // 'dashboard' | 'results'
+  const [activeTab, setActiveTab] = useState(initialTab); // one of TABS
   const [input, setInput] = useState('');
   const [showChat, setShowChat] = useState(false);
-  const [history, setHistory] = useState([
-    { id: 1, text: "The product is great, fast delivery!", label: "Positive", timestamp: "Initial Data" },
-    { id: 2, text: "Terrible service, very slow and rude.", label: "Negative", timestamp: "Initial Data" },
-    { id: 3, text: "It's okay, nothing special.", label: "Neutral", timestamp: "Initial Data" },
-    { id: 4, text: "I love the new features.", label: "Positive", timestamp: "Initial Data" },
-    { id: 5, text: "Broken immediately. Waste of money.", label: "Negative", timestamp: "Initial Data" }
-  ]);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [history, setHistory] = useState(SEED_HISTORY);
+  const historyRef = useRef(history); // latest history, for code that resumes after an await
+  historyRef.current = history;
+  const [corrections, setCorrections] = useState([]);
   
   const [prediction, setPrediction] = useState({ label: 'Neutral', scores: {} });
+  const [uncertaintyThreshold, setUncertaintyThreshold] = useState(DEFAULT_UNCERTAINTY_THRESHOLD);
   
   // AI Feature States
   const [aiReport, setAiReport] = useState(null);
   const [isGeneratingReport, setIsGeneratingReport] = useState(false);
-  const [draftingReplyId, setDraftingReplyId] = useState(null);
+  const [draftingReplyIds, setDraftingReplyIds] = useState(() => new Set());
   const [generatedReplies, setGeneratedReplies] = useState({}); 
   
   // New AI Feature States
   const [isGeneratingData, setIsGeneratingData] = useState(false);
   const [aiVerification, setAiVerification] = useState(null);
   const [isVerifying, setIsVerifying] = useState(false);
-  const [libsLoaded, setLibsLoaded] = useState(false);
+  const [aiError, setAiError] = useState(null); // { feature, message } from a failed LLM call
+  const [llmSettings, setLlmSettings] = useState(DEFAULT_LLM_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [parserState, setParserState] = useState(parserLoader.getState); // per-library { status, error }
   const [isProcessingFile, setIsProcessingFile] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, rows, hasHeader } awaiting column mapping
+  const [labelOverrides, setLabelOverrides] = useState({}); // raw label value -> class ('' rejects)
+  const [importSummary, setImportSummary] = useState(null);
+  const [pasteImport, setPasteImport] = useState(null); // { title, fileName, text } for the paste / PDF split dialog
+  const [htmlImport, setHtmlImport] = useState(null); // { fileName, html } awaiting selector choice
+  const [pendingDedupe, setPendingDedupe] = useState(null); // { fileName, entries, pairs, summary } with duplicates to resolve
+  const [showDedupe, setShowDedupe] = useState(false); // duplicate finder over existing history
 
-  // Load Parsing Libraries Dynamically
-  useEffect(() => {
-    const loadScript = (src) => {
-      return new Promise((resolve, reject) => {
-        if (document.querySelector(`script[src="${src}"]`)) {
-          resolve();
-          return;
+  // Model States: 'local' retrains on every history change, 'imported' keeps an uploaded model frozen
+  const [modelSource, setModelSource] = useState('local');
+  const [modelInfo, setModelInfo] = useState(null);
+  const [modelError, setModelError] = useState(null);
+  const [importProgress, setImportProgress] = useState(null); // { phase: 'reading' | 'extracting' | 'labeling', done, total, rows, startedAt }
+  const importAbortRef = useRef(null);
+  const trainedRef = useRef(null); // { docs, tokenizer } of the last training job, for incremental updates
+  const [tokenizerOptions, setTokenizerOptions] = useState(classifier.tokenizerOptions);
+  const [trainingScope, setTrainingScope] = useState('all'); // 'all' | 'trusted' (human-verified + ground truth)
+  const [resultsQuery, setResultsQuery] = useState(() => queryFromSearch(window.location.search));
+  const [columnLimits, setColumnLimits] = useState(initialColumnLimits); // cards rendered per results column
+  const [aspects, setAspects] = useState(DEFAULT_ASPECTS);
+  const [focusedReviewId, setFocusedReviewId] = useState(null); // set by clicking an AI citation
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null); // last clicked id, start of a shift-click range
+  const [undoDelete, setUndoDelete] = useState(null); // { entries: [{ item, index }] } from the last bulk delete
+  const [replyJob, setReplyJob] = useState(null); // { total, done, failures, unstarted, running } for queued smart replies
+  const replyStopRef = useRef(false);
+  const replyRunRef = useRef(null); // identity of the current reply run; cleared when switching workspace
+
+  // Workspace / Persistence States
+  const [workspace, setWorkspace] = useState(DEFAULT_WORKSPACE);
+  const [workspaces, setWorkspaces] = useState([DEFAULT_WORKSPACE]);
+  const [isHydrated, setIsHydrated] = useState(false);
+
+  const openWorkspace = async (name) => {
+    setIsHydrated(false);
+    try {
+      const record = await loadWorkspace(name);
+      let modelLoaded = false;
+      if (record?.model) {
+        try {
+          classifier.fromJSON(record.model);
+          modelLoaded = true;
+        } catch (err) {
+          console.warn('Ignoring stored model', err);
         }
-        const script = document.createElement('script');
-        script.src = src;
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
-    };
+      }
+      // A stored model replaces the worker's, so the next local training starts from scratch
+      trainedRef.current = null;
+      const source = modelLoaded ? record.modelSource || 'local' : 'local';
+      if (modelLoaded) classifierClient.load(record.model).catch(err => console.error('Worker failed to load model', err));
+      // Only a frozen imported model keeps a legacy pipeline; local models retrain on the current one
+      if (!modelLoaded) classifier.tokenizerOptions = { ...DEFAULT_PIPELINE };
+      else if (source === 'local') classifier.tokenizerOptions = trainablePipeline(classifier.tokenizerOptions);
+      setTokenizerOptions(classifier.tokenizerOptions);
+      setModelSource(source);
+      setModelInfo(modelLoaded ? classifier.toJSON().metadata : null);
+      setModelError(null);
+      setHistory(withUniqueIds(record?.history || SEED_HISTORY));
+      setCorrections(record?.corrections || []);
+      setGeneratedReplies(record?.generatedReplies || {});
+      setLabelOverrides(record?.labelOverrides || {});
+      setUncertaintyThreshold(record?.uncertaintyThreshold ?? DEFAULT_UNCERTAINTY_THRESHOLD);
+      setTrainingScope(record?.trainingScope || 'all');
+      setChatMessages(record?.chat || []);
+      setAspects(record?.aspects || DEFAULT_ASPECTS);
+      setSelectedIds(new Set());
+      setUndoDelete(null);
+      // Drafts still in flight belong to the previous workspace
+      replyStopRef.current = true;
+      replyRunRef.current = null;
+      setReplyJob(null);
+      setWorkspace(name);
+      await setActiveWorkspace(name);
+      setWorkspaces(await listWorkspaces());
+    } catch (err) {
+      console.error('Failed to load workspace', err);
+    }
+    setIsHydrated(true);
+  };
 
-    Promise.all([
-      loadScript('https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js'), // SheetJS for Excel
-      loadScript('https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js') // Mammoth for Word
-    ]).then(() => {
-      setLibsLoaded(true);
-      console.log('File parsing libraries loaded');
-    }).catch(err => console.error('Failed to load libraries', err));
+  // Restore the last active workspace and provider settings on startup
+  useEffect(() => {
+    getActiveWorkspace()
+      .catch(err => {
+        console.error('Failed to read the active workspace', err);
+        return DEFAULT_WORKSPACE;
+      })
+      .then(openWorkspace);
+    loadSettings()
+      .then(saved => {
+        if (!saved) return;
+        const merged = { ...DEFAULT_LLM_SETTINGS, provider: saved.provider };
+        Object.keys(PROVIDERS).forEach(id => { merged[id] = { ...DEFAULT_LLM_SETTINGS[id], ...saved[id] }; });
+        setLlmSettings(merged);
+      })
+      .catch(err => console.error('Failed to load settings', err));
   }, []);
 
-  // ML Training Trigger
+  const handleSaveSettings = (settings) => {
+    setLlmSettings(settings);
+    setShowSettings(false);
+    saveSettings(settings).catch(err => console.error('Failed to save settings', err));
+  };
+
+  const callAI = (request, options) => callLLM(request, llmSettings, options);
+
+  // Failed calls surface as an error banner, never in place of AI output
+  const reportAiError = (feature, error) => setAiError({ feature, message: `${error.message} (${error.type} error)` });
+
+  // Persist the active workspace (debounced so bulk imports write once)
+  useEffect(() => {
+    if (!isHydrated) return;
+    const timer = setTimeout(() => {
+      saveWorkspace(workspace, {
+        history,
+        corrections,
+        generatedReplies,
+        labelOverrides,
+        uncertaintyThreshold,
+        trainingScope,
+        model: classifier.toJSON(),
+        modelSource,
+        chat: chatMessages,
+        aspects
+      })
+        .then(listWorkspaces)
+        .then(setWorkspaces)
+        .catch(err => console.error('Failed to save workspace', err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [history, corrections, generatedReplies, labelOverrides, uncertaintyThreshold, trainingScope, modelSource, chatMessages, aspects, workspace, isHydrated]);
+
+  const handleCreateWorkspace = () => {
+    const name = window.prompt('Name for the new workspace (e.g. a product line):');
+    if (!name || !name.trim()) return;
+    if (name.trim().startsWith('__')) {
+      alert('Workspace names cannot start with "__".');
+      return;
+    }
+    if (workspaces.includes(name.trim())) {
+      alert(`Workspace "${name.trim()}" already exists.`);
+      return;
+    }
+    openWorkspace(name.trim());
+  };
+
+  const handleDeleteWorkspace = async () => {
+    if (!window.confirm(`Delete workspace "${workspace}" and all of its reviews?`)) return;
+    setIsHydrated(false);
+    try {
+      await deleteWorkspace(workspace);
+    } catch (err) {
+      console.error('Failed to delete workspace', err);
+      alert(`Could not delete workspace "${workspace}": ${err.message}`);
+      setIsHydrated(true);
+      return;
+    }
+    // The workspace is gone either way; an unreadable list falls back to the default one
+    const remaining = await listWorkspaces().catch(err => {
+      console.error('Failed to list workspaces', err);
+      return [];
+    });
+    openWorkspace(remaining.filter(w => w !== workspace)[0] || DEFAULT_WORKSPACE);
+  };
+
+  // Parser libraries load on first use; the upload card shows their state
+  useEffect(() => parserLoader.subscribe(setParserState), []);
+
+  // Training set: everything, or only labels a human stands behind
+  const trainingSet = useMemo(
+    () => (trainingScope === 'trusted' ? history.filter(isTrusted) : history),
+    [history, trainingScope]
+  );
+
+  // ML Training Trigger: only changed documents are sent to the worker unless the pipeline changed
+  useEffect(() => {
+    if (modelSource !== 'local') {
+      trainedRef.current = null;
+      return;
+    }
+    const documents = trainingSet.map(({ id, text, label }) => ({ id, text, label }));
+    const tokenizer = JSON.stringify(tokenizerOptions);
+    const previous = trainedRef.current;
+    const changes = previous?.tokenizer === tokenizer ? diffDocuments(previous.docs, documents) : null;
+    if (changes && !changes.added.length && !changes.removed.length) return;
+    const job = { docs: new Map(documents.map(doc => [doc.id, doc])), tokenizer };
+    trainedRef.current = job;
+
+    // Only the newest job's model is mirrored; the worker applies them all in order
+    (changes ? classifierClient.update(changes) : classifierClient.train(documents, tokenizerOptions))
+      .then(model => {
+        if (trainedRef.current !== job) return;
+        classifier.fromJSON(model);
+        setModelInfo(model.metadata);
+      })
+      .catch(err => {
+        console.error('Training failed', err);
+        if (trainedRef.current === job) trainedRef.current = null;
+      });
+  }, [trainingSet, modelSource, tokenizerOptions]);
+
   useEffect(() => {
-    classifier.train(history);
-    if (input) setPrediction(classifier.predict(input));
-  }, [history]); 
+    if (input.trim()) setPrediction(classifier.predict(input));
+  }, [modelInfo]);
+
+  // Pipeline changes apply to both training and prediction, so they force a retrain
+  const updateTokenizerOptions = (patch) => {
+    classifier.tokenizerOptions = { ...classifier.tokenizerOptions, ...patch };
+    setTokenizerOptions(classifier.tokenizerOptions);
+  };
+
+  const discardImportedModel = () => {
+    classifier.tokenizerOptions = trainablePipeline(classifier.tokenizerOptions);
+    setTokenizerOptions(classifier.tokenizerOptions);
+    setModelSource('local');
+  };
+
+  // --- MODEL IMPORT / EXPORT ---
+  const exportFileName = (kind, extension) => `sentimind-${kind}-${workspace.replace(/\s+/g, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  const handleModelDownload = () => {
+    downloadFile(JSON.stringify(classifier.toJSON(), null, 2), exportFileName('model', 'json'), 'application/json');
+  };
+
+  const handleChatExport = () => {
+    const markdown = transcriptToMarkdown(chatMessages, { workspace, provider: PROVIDERS[llmSettings.provider].label });
+    downloadFile(markdown, exportFileName('chat', 'md'), 'text/markdown');
+  };
+
+  // Exports what the results view currently shows, in its sort order
+  const handleResultsExport = async (format) => {
+    let XLSX;
+    if (format === 'xlsx') {
+      try {
+        XLSX = await parserLoader.load('excel');
+      } catch (err) {
+        alert(`Excel library failed to load (${err.message}). Check your connection and try again.`);
+        return;
+      }
+    }
+    const { extension, type } = EXPORT_FORMATS[format];
+    const content = buildExport(format, filteredResults, { replies: generatedReplies, XLSX });
+    downloadFile(content, exportFileName('results', extension), type);
+  };
+
+  // Opens the report in a new window for printing; falls back to a download when popups are blocked
+  const handlePrintReport = () => {
+    const matrix = buildAspectMatrix(history, aspectExtractor);
+    const html = buildReportHTML({
+      workspace,
+      items: history,
+      trend: buildTrend(history, { granularity: 'week', window: 4 }),
+      aspectCounts: aspects.map(aspect => ({
+        name: aspect.name,
+        counts: Object.fromEntries(Object.entries(matrix[aspect.id]).map(([label, mentions]) => [label, mentions.length]))
+      })),
+      insight: aiReport
+    });
+    const win = window.open('', '_blank');
+    if (!win) {
+      downloadFile(html, exportFileName('report', 'html'), 'text/html');
+      return;
+    }
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  const handleModelUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        classifier.fromJSON(JSON.parse(event.target.result));
+        classifierClient.load(classifier.toJSON()).catch(err => console.error('Worker failed to load model', err));
+        setTokenizerOptions(classifier.tokenizerOptions);
+        setModelSource('imported');
+        setModelInfo(classifier.toJSON().metadata);
+        setModelError(null);
+      } catch (err) {
+        setModelError(err instanceof SyntaxError ? 'Model file is not valid JSON.' : err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
 
   // Real-time prediction
   useEffect(() => {
@@ -254,154 +569,503 @@ export default function App() {
 
   const handleSave = () => {
     if (!input.trim()) return;
-    const newItem = {
-      id: Date.now(),
+    const newItem = withProvenance({
+      id: nextId(),
       text: input,
       label: prediction.label,
-      timestamp: new Date().toLocaleTimeString()
-    };
+      probabilities: prediction.probabilities,
+      confidence: prediction.confidence,
+      timestamp: new Date().toLocaleTimeString(),
+      ...datedFields()
+    }, 'model');
     setHistory(prev => [newItem, ...prev]);
     setInput('');
   };
 
+  // Any human-chosen label counts as verified and is no longer subject to the model's confidence
   const handleCorrection = (id, newLabel) => {
-    setHistory(prev => prev.map(item => item.id === id ? { ...item, label: newLabel } : item));
+    const item = history.find(h => h.id === id);
+    if (!item || item.label === newLabel) return;
+    setCorrections(prev => [...prev, { id, from: item.label, to: newLabel, at: new Date().toISOString() }]);
+    setHistory(prev => prev.map(item => item.id === id ? applyLabel(item, newLabel, 'human') : item));
+  };
+
+  // Label queue answers confirm the label even when it doesn't change
+  const handleVerify = (id, label) => {
+    const item = history.find(h => h.id === id);
+    if (!item) return;
+    if (item.label !== label) {
+      setCorrections(prev => [...prev, { id, from: item.label, to: label, at: new Date().toISOString() }]);
+    }
+    setHistory(prev => prev.map(item => item.id === id ? applyLabel(item, label, 'human') : item));
+  };
+
+  const handleAuditRecord = (id, record) => {
+    setHistory(prev => prev.map(item => item.id === id ? { ...item, aiAudit: record } : item));
+  };
+
+  // Adopting either side of a disagreement is a human decision, so it verifies the label
+  const handleAuditAdopt = (id, label) => {
+    handleVerify(id, label);
+    setHistory(prev => prev.map(item => item.id === id ? { ...item, aiAudit: { ...item.aiAudit, resolvedAt: new Date().toISOString() } } : item));
+  };
+
+  // Retrieval index for the AI features, built only when a question or report
+  // needs it and reused until history changes
+  const retrievalRef = useRef({ history: null, index: null, stats: null });
+  const getRetrieval = () => {
+    if (retrievalRef.current.history !== history) {
+      retrievalRef.current = { history, index: buildIndex(history), stats: computeStats(history) };
+    }
+    return retrievalRef.current;
   };
+  const knownIds = useMemo(() => new Set(history.map(h => String(h.id))), [history]);
+
+  // Clause predictions per review, kept until the aspects or the model change
+  const aspectExtractor = useMemo(() => createAspectExtractor(aspects, predictText), [aspects, modelInfo?.createdAt]);
+
+  // Clears filters and pages far enough into the item's column that it is rendered
+  const focusReview = (id) => {
+    const item = history.find(h => String(h.id) === id);
+    if (!item) return;
+    const position = history.filter(h => h.label === item.label).indexOf(item);
+    setResultsQuery(DEFAULT_RESULTS_QUERY);
+    setColumnLimits({ ...initialColumnLimits(), [item.label]: Math.ceil((position + 1) / RESULTS_PAGE_SIZE) * RESULTS_PAGE_SIZE });
+    setActiveTab('results');
+    setFocusedReviewId(id);
+  };
+
+  const updateResultsQuery = (patch) => {
+    setResultsQuery(prev => ({ ...prev, ...patch }));
+    setColumnLimits(initialColumnLimits());
+  };
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (activeTab === 'dashboard') params.delete('tab');
+    else params.set('tab', activeTab);
+    queryToParams(activeTab === 'results' ? resultsQuery : DEFAULT_RESULTS_QUERY, params);
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+  }, [activeTab, resultsQuery]);
+
+  useEffect(() => {
+    if (activeTab !== 'results' || !focusedReviewId) return;
+    document.getElementById(`review-${focusedReviewId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [activeTab, focusedReviewId]);
+
+  const unverifiedCount = useMemo(() => history.filter(needsReview).length, [history]);
 
   // --- ENHANCED FILE UPLOAD HANDLER ---
-  const processExtractedText = (text) => {
-    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 5);
-    const newEntries = lines.map((line, idx) => ({
-      id: Date.now() + idx,
-      text: line.trim(),
-      label: classifier.predict(line).label,
-      timestamp: "Imported File"
-    }));
-    setHistory(prev => [...newEntries, ...prev]);
+  const isUncertain = (item) => item.confidence !== undefined && item.confidence < uncertaintyThreshold;
+
+  /**
+   * Runs one cancellable import phase with progress on the upload card.
+   * `task(signal, report)` calls report({ done, rows }) as it goes.
+   * Resolves to null when cancelled or failed.
+   */
+  const runImportPhase = async (phase, total, task) => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    importAbortRef.current = controller;
+    setImportProgress({ phase, done: 0, total, rows: 0, startedAt });
+    try {
+      return await task(controller.signal, ({ done, rows, total: latestTotal = total }) => setImportProgress({ phase, done, total: latestTotal, rows, startedAt }));
+    } catch (err) {
+      if (err.name !== 'AbortError') alert(`Import failed while ${phase}: ${err.message}`);
+      setIsProcessingFile(false);
+      return null;
+    } finally {
+      importAbortRef.current = null;
+      setImportProgress(null);
+    }
+  };
+
+  const streamFile = (read, file) => runImportPhase('reading', file.size, (signal, report) => read(file, {
+    signal,
+    onProgress: ({ bytesRead, rows }) => report({ done: bytesRead, rows })
+  }));
+
+  // Labels texts in the worker in chunks
+  const predictBatch = (texts) => runImportPhase('labeling', texts.length, (signal, report) => classifierClient.predict(texts, {
+    signal,
+    onProgress: ({ done }) => report({ done, rows: done })
+  }));
+
+  const cancelProcessing = () => importAbortRef.current?.abort();
+
+  const processExtractedText = (text, fileName) => {
+    const { texts, errors } = splitTextLines(text);
+    labelTextLines(texts, fileName, errors);
+  };
+
+  const labelTextLines = async (texts, fileName, rowErrors) => {
+    const predictions = await predictBatch(texts);
+    if (!predictions) return;
+    const capturedAt = new Date();
+    const newEntries = texts.map((text, idx) => withProvenance({
+      id: nextId(),
+      text,
+      ...predictions[idx],
+      timestamp: "Imported File",
+      ...datedFields(null, capturedAt)
+    }, 'model'));
+    stageImport(fileName, newEntries, {
+      fileName,
+      total: newEntries.length,
+      accepted: 0, remapped: 0, rejected: 0,
+      predicted: newEntries.length,
+      uncertain: newEntries.filter(isUncertain).length,
+      rowErrors
+    });
+  };
+
+  // Imports containing duplicates wait for the user to skip, merge or keep them.
+  // Staging runs after async parsing and labeling, so it reads the latest history.
+  const stageImport = (fileName, entries, summary) => {
+    const pairs = findImportDuplicates(entries, historyRef.current);
+    if (pairs.length) {
+      setPendingDedupe({ fileName, entries, pairs, summary });
+      return;
+    }
+    finishImport(prev => [...entries, ...prev], summary);
+  };
+
+  const finishImport = (items, summary) => {
+    setHistory(items);
+    setImportSummary(summary);
+    setPendingDedupe(null);
     setIsProcessingFile(false);
     setActiveTab('results'); // Switch to results tab after upload
   };
 
-  const handleFileUpload = (e) => {
+  // Decisions are applied to the history as it is now, keeping edits made while the dialog was open
+  const resolveImportDuplicates = ({ pairs, actions, skip, merge }) => {
+    const { entries, summary } = pendingDedupe;
+    finishImport(prev => resolveDuplicates([...entries, ...prev], pairs, actions).items, { ...summary, skipped: skip, merged: merge });
+  };
+
+  const cancelDedupe = () => {
+    setPendingDedupe(null);
+    setIsProcessingFile(false);
+  };
+
+  const resolveHistoryDuplicates = ({ pairs, actions }) => {
+    setHistory(prev => resolveDuplicates(prev, pairs, actions).items);
+    setShowDedupe(false);
+  };
+
+  // Tabular imports (CSV/Excel/JSON) go through the column mapping wizard first
+  const openImportWizard = (fileName, rows, { hasHeader, rowErrors = createRowErrors() } = {}) => {
+    const normalized = normalizeRows(rows);
+    if (normalized.length === 0) {
+      alert("No rows found in this file.");
+      setIsProcessingFile(false);
+      return;
+    }
+    setPendingImport({ fileName, rows: normalized, hasHeader, rowErrors });
+  };
+
+  // Rows with a label column become ground truth; everything else is predicted
+  const importMappedRows = async (mapping, overrides) => {
+    const { fileName, rows, rowErrors } = pendingImport;
+    setLabelOverrides(overrides);
+    setPendingImport(null);
+    const records = mapRowsToRecords(rows, mapping);
+    const bodyRows = mapping.hasHeader ? rows.length - 1 : rows.length;
+    for (let i = records.length; i < bodyRows; i++) addRowError(rowErrors, null, 'empty');
+    const hasLabels = mapping.label >= 0;
+    const predictions = hasLabels ? [] : await predictBatch(records.map(record => record.text));
+    if (!predictions) return;
+    const summary = { fileName, total: records.length, accepted: 0, remapped: 0, rejected: 0, predicted: 0, uncertain: 0, rowErrors };
+    const capturedAt = new Date();
+    const newEntries = [];
+    records.forEach((record, idx) => {
+      const entry = {
+        id: nextId(),
+        text: record.text,
+        timestamp: "Imported File",
+        metadata: record.metadata,
+        ...datedFields(record.metadata?.date, capturedAt)
+      };
+      if (!hasLabels) {
+        const predicted = withProvenance({ ...entry, ...predictions[idx] }, 'model');
+        summary.predicted++;
+        if (isUncertain(predicted)) summary.uncertain++;
+        newEntries.push(predicted);
+        return;
+      }
+      const { label, status } = resolveLabel(record.rawLabel, overrides);
+      summary[status]++;
+      if (label) newEntries.push(withProvenance({ ...entry, label }, 'import'));
+    });
+    stageImport(fileName, newEntries, summary);
+  };
+
+  const cancelImport = () => {
+    setPendingImport(null);
+    setIsProcessingFile(false);
+  };
+
+  // Resolves to the parser library, or null when it failed to load; the
+  // upload card then shows the error with a retry
+  const requireParser = async (id) => {
+    try {
+      return await parserLoader.load(id);
+    } catch (err) {
+      setIsProcessingFile(false);
+      return null;
+    }
+  };
+
+  // A file that can't be read (moved, deleted, permission lost) ends the import with a message
+  const handleFileUpload = async (e) => {
     const file = e.target.files[0];
+    e.target.value = '';
     if (!file) return;
     
     setIsProcessingFile(true);
-    const fileName = file.name.toLowerCase();
+    try {
+      await importFile(file);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not read ${file.name}: ${err.message}`);
+      setIsProcessingFile(false);
+    }
+  };
 
-    // 1. CSV Handler
-    if (fileName.endsWith('.csv')) {
-      const reader = new FileReader();
-      reader.onload = (event) => processExtractedText(event.target.result);
-      reader.readAsText(file);
+  const importFile = async (file) => {
+    // Content decides when the extension is missing, unknown or contradicts it
+    const { format } = await detectFormat(file);
+
+    // 1. CSV Handler (streamed)
+    if (format === 'csv') {
+      const result = await streamFile(streamCSVFile, file);
+      if (result) openImportWizard(file.name, result.rows, { rowErrors: result.errors });
     }
     // 2. Excel Handler (.xlsx, .xls)
-    else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-      if (!window.XLSX) {
-        alert("Excel parser is still loading. Please try again in a moment.");
+    else if (format === 'xlsx' || format === 'xls') {
+      const XLSX = await requireParser('excel');
+      if (!XLSX) return;
+      try {
+        const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1, raw: false, defval: '' });
+        openImportWizard(file.name, jsonData);
+      } catch (err) {
+        console.error(err);
+        alert("Error parsing Excel file.");
         setIsProcessingFile(false);
-        return;
       }
+    }
+    // 3. JSON Lines Handler (streamed); nested fields become selectable columns
+    else if (format === 'jsonl') {
+      const result = await streamFile(streamJSONLFile, file);
+      if (result) openImportWizard(file.name, objectsToRows(result.objects), { hasHeader: true, rowErrors: result.errors });
+    }
+    // 4. JSON Handler
+    else if (format === 'json') {
       const reader = new FileReader();
-      reader.onload = (e) => {
-        const data = new Uint8Array(e.target.result);
-        const workbook = window.XLSX.read(data, { type: 'array' });
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = window.XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-        const text = jsonData.flat().join('\n');
-        processExtractedText(text);
+      reader.onload = (event) => {
+        const { objects, errors } = parseJSONRecords(event.target.result);
+        const rowErrors = createRowErrors();
+        errors.forEach(line => addRowError(rowErrors, line, 'malformed', { detail: 'Invalid JSON' }));
+        openImportWizard(file.name, objectsToRows(objects), { hasHeader: true, rowErrors });
+      };
+      reader.onerror = () => {
+        alert(`Could not read ${file.name}: ${reader.error?.message || 'unknown error'}`);
+        setIsProcessingFile(false);
       };
-      reader.readAsArrayBuffer(file);
+      reader.readAsText(file);
+    }
+    // 5. Word Handler (.docx)
+    else if (format === 'docx') {
+      const mammoth = await requireParser('word');
+      if (!mammoth) return;
+      try {
+        const result = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+        processExtractedText(result.value, file.name);
+      } catch (err) {
+        console.error(err);
+        alert("Error parsing Word document.");
+        setIsProcessingFile(false);
+      }
     }
-    // 3. Word Handler (.docx)
-    else if (fileName.endsWith('.docx')) {
-      if (!window.mammoth) {
-        alert("Word parser is still loading. Please try again in a moment.");
+    // 6. PDF Handler: extracted text goes to the split dialog, since survey
+    // exports wrap long answers over several lines
+    else if (format === 'pdf') {
+      const pdfjs = await requireParser('pdf');
+      if (!pdfjs) return;
+      const data = new Uint8Array(await file.arrayBuffer());
+      const text = await runImportPhase('extracting', 0, (signal, report) => extractPdfText(pdfjs, data, {
+        signal,
+        onProgress: ({ done, total }) => report({ done, total, rows: 0 })
+      }));
+      if (text === null) return;
+      if (!text.trim()) {
+        alert("No text found in this PDF. Scanned documents need OCR before they can be imported.");
         setIsProcessingFile(false);
         return;
       }
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const arrayBuffer = e.target.result;
-        window.mammoth.extractRawText({ arrayBuffer: arrayBuffer })
-          .then(result => processExtractedText(result.value))
-          .catch(err => {
-            console.error(err);
-            alert("Error parsing Word document.");
-            setIsProcessingFile(false);
-          });
-      };
-      reader.readAsArrayBuffer(file);
+      setPasteImport({ title: `Split Reviews — ${file.name}`, fileName: file.name, text });
+    }
+    // 7. HTML Handler: review blocks are picked by selector
+    else if (format === 'html') {
+      setHtmlImport({ fileName: file.name, html: await file.text() });
+    }
+    // 8. Plain Text (streamed)
+    else if (format === 'text') {
+      const result = await streamFile(streamTextFile, file);
+      if (result) labelTextLines(result.texts, file.name, result.errors);
     }
-    // 4. Text Fallback
     else {
-      const reader = new FileReader();
-      reader.onload = (event) => processExtractedText(event.target.result);
-      reader.readAsText(file);
+      alert(`Unsupported file type: ${file.name}. Import TXT, CSV, Excel, Word, JSON/JSONL, PDF or HTML files.`);
+      setIsProcessingFile(false);
     }
   };
 
-  // --- GEMINI FUNCTIONS ---
+  const confirmPasteImport = (texts, rowErrors) => {
+    const { fileName } = pasteImport;
+    setPasteImport(null);
+    setIsProcessingFile(true);
+    labelTextLines(texts, fileName, rowErrors);
+  };
+
+  const cancelPasteImport = () => {
+    setPasteImport(null);
+    setIsProcessingFile(false);
+  };
+
+  const confirmHtmlImport = (records) => {
+    const { fileName } = htmlImport;
+    setHtmlImport(null);
+    openImportWizard(fileName, objectsToRows(records), { hasHeader: true });
+  };
+
+  const cancelHtmlImport = () => {
+    setHtmlImport(null);
+    setIsProcessingFile(false);
+  };
+
+  // --- AI FUNCTIONS ---
   const generateInsightReport = async () => {
     setIsGeneratingReport(true);
-    const dataContext = JSON.stringify(history.slice(0, 30)); 
-    const prompt = `Analyze these customer reviews and generate a concise insight report. 
-    1. Overall Sentiment Trend.
-    2. Top 3 Specific Complaints (if any).
-    3. Top 3 Praised Features (if any).
-    4. One Actionable Recommendation for the business.
-    Reviews: ${dataContext}`;
-    const report = await callGemini(prompt, "You are an expert business consultant.");
-    setAiReport(report);
+    // Aggregates cover the whole dataset; the sample is the most representative reviews per class
+    const { index, stats } = getRetrieval();
+    const sample = buildClassSample(index, stats, 10);
+    const dataContext = `${formatStats(stats)}\n\nRepresentative reviews:\n${sample.map(formatReview).join('\n')}`;
+    const prompt = `Analyze these customer reviews and generate a concise insight report as JSON with these fields:
+    overallTrend: the overall sentiment trend in one or two sentences.
+    complaints: up to 3 specific complaints (empty array if none).
+    praisedFeatures: up to 3 praised features (empty array if none).
+    recommendation: one actionable recommendation for the business.
+    Cite the reviews behind each complaint and praised feature by ID in the form [#id].
+    ${dataContext}`;
+    const result = await callStructured(callAI, {
+      task: 'report',
+      prompt,
+      system: "You are an expert business consultant. Output only JSON.",
+      input: { items: sample }
+    }, REPORT_SCHEMA);
+    if (result.ok) setAiReport(result.data);
+    else reportAiError('Insight report', result.error);
     setIsGeneratingReport(false);
   };
 
-  const generateSmartReply = async (item) => {
-    setDraftingReplyId(item.id);
+  const setDrafting = (id, drafting) => setDraftingReplyIds(prev => {
+    const next = new Set(prev);
+    if (drafting) next.add(id);
+    else next.delete(id);
+    return next;
+  });
+
+  // Shared by the per-card button and the bulk reply queue; stores the reply on
+  // success unless `isCurrent()` says the run was abandoned meanwhile
+  const requestSmartReply = async (item, { isCurrent = () => true } = {}) => {
+    setDrafting(item.id, true);
     const prompt = `Write a polite, professional, and concise customer service response to this review. 
     Review: "${item.text}"
     Sentiment: ${item.label}
     The response should address their specific point. If negative, apologize and offer help. If positive, thank them warmly.`;
-    const reply = await callGemini(prompt);
-    setGeneratedReplies(prev => ({ ...prev, [item.id]: reply }));
-    setDraftingReplyId(null);
+    const result = await callAI({ task: 'reply', prompt, input: { text: item.text, label: item.label } });
+    if (result.ok && isCurrent()) setGeneratedReplies(prev => ({ ...prev, [item.id]: result.text }));
+    setDrafting(item.id, false);
+    return result;
+  };
+
+  const generateSmartReply = async (item) => {
+    const result = await requestSmartReply(item);
+    if (!result.ok) reportAiError('Smart reply', result.error);
+  };
+
+  // Failures, and items a Stop left unstarted, are collected on the job rather
+  // than raised one by one, so they can be retried together
+  const draftReplies = async (items) => {
+    if (!items.length) return;
+    const run = {};
+    const isCurrent = () => replyRunRef.current === run;
+    const updateJob = (update) => setReplyJob(prev => (isCurrent() ? update(prev) : prev));
+    const started = new Set();
+    replyRunRef.current = run;
+    replyStopRef.current = false;
+    setReplyJob({ total: items.length, done: 0, failures: [], unstarted: [], running: true });
+    await runQueue(items, (item) => {
+      started.add(item.id);
+      return requestSmartReply(item, { isCurrent });
+    }, {
+      concurrency: 2,
+      shouldStop: () => replyStopRef.current,
+      onResult: (item, result) => updateJob(prev => ({
+        ...prev,
+        done: prev.done + 1,
+        failures: result.ok ? prev.failures : [...prev.failures, { id: item.id, text: item.text, message: result.error.message }]
+      }))
+    });
+    updateJob(prev => ({ ...prev, running: false, unstarted: items.filter(item => !started.has(item.id)).map(item => item.id) }));
+  };
+
+  const retryFailedReplies = () => {
+    const retryIds = new Set([...replyJob.failures.map(f => f.id), ...replyJob.unstarted]);
+    draftReplies(history.filter(item => retryIds.has(item.id)));
   };
 
   const generateSyntheticData = async () => {
     setIsGeneratingData(true);
     const prompt = `Generate 5 diverse, realistic customer reviews for a SaaS or E-commerce product. 
     Include 2 positive, 2 negative, and 1 neutral review.
-    Format ONLY as a valid JSON array of objects with keys: "text" and "label".
-    Example: [{"text": "Love it", "label": "Positive"}]`;
-    const response = await callGemini(prompt, "You are a data generator. Output only JSON.");
-    try {
-        const jsonStr = response.replace(/```json|```/g, '').trim();
-        const data = JSON.parse(jsonStr);
-        if (Array.isArray(data)) {
-            const newItems = data.map((item, i) => ({
-                id: Date.now() + i,
-                text: item.text,
-                label: item.label,
-                timestamp: "AI Generated"
-            }));
-            setHistory(prev => [...newItems, ...prev]);
-            setActiveTab('results'); // Switch to results to show data
-        }
-    } catch (e) { console.error("Failed to parse AI data", e); }
+    Format as a JSON object with a "reviews" array of objects with keys: "text" and "label" (Positive, Negative or Neutral).
+    Example: {"reviews": [{"text": "Love it", "label": "Positive"}]}`;
+    const result = await callStructured(callAI, { task: 'synthetic', prompt, system: "You are a data generator. Output only JSON." }, SYNTHETIC_SCHEMA);
+    if (result.ok) {
+        const newItems = result.data.reviews.map(item => withProvenance({
+            id: nextId(),
+            text: item.text,
+            label: item.label,
+            timestamp: "AI Generated",
+            ...datedFields()
+        }, 'synthetic'));
+        setHistory(prev => [...newItems, ...prev]);
+        setActiveTab('results'); // Switch to results to show data
+    } else {
+        reportAiError('Synthetic data', result.error);
+    }
     setIsGeneratingData(false);
   };
 
+  // Shared by "Verify with AI" and the batch audit
+  const classifyWithAI = (text) => {
+    const prompt = `Analyze the sentiment of this text deeply. Detect sarcasm, nuance, or mixed feelings.
+    Text: "${text}"
+    Respond as JSON with: sentiment (Positive, Negative or Neutral), confidence (a number from 0 to 1) and reasoning (one sentence).`;
+    return callStructured(callAI, { task: 'verify', prompt, system: "You are a sentiment expert. Output only JSON.", input: { text } }, VERIFY_SCHEMA);
+  };
+
   const verifySentiment = async () => {
     if (!input) return;
     setIsVerifying(true);
-    const prompt = `Analyze the sentiment of this text deeply. Detect sarcasm, nuance, or mixed feelings.
-    Text: "${input}"
-    Output strictly in this format:
-    Sentiment: [Positive/Negative/Neutral]
-    Confidence: [High/Medium/Low]
-    Reasoning: [One sentence explanation]`;
-    const response = await callGemini(prompt, "You are a sentiment expert.");
-    setAiVerification(response);
+    const result = await classifyWithAI(input);
+    if (result.ok) setAiVerification({ ...result.data, text: input });
+    else reportAiError('Verify with AI', result.error);
     setIsVerifying(false);
   };
 
@@ -419,13 +1083,101 @@ export default function App() {
     return 'text-slate-600 bg-slate-50 border-slate-200';
   };
 
-  // Group history for the Results Page
-  const categorizedHistory = useMemo(() => {
-    return {
-      Positive: history.filter(h => h.label === 'Positive'),
-      Neutral: history.filter(h => h.label === 'Neutral'),
-      Negative: history.filter(h => h.label === 'Negative')
-    };
+  // Filter, sort and group history for the Results Page
+  const filteredResults = useMemo(
+    () => filterResults(history, resultsQuery, { isUncertain }),
+    [history, resultsQuery, uncertaintyThreshold]
+  );
+  const categorizedHistory = useMemo(() => ({
+    Positive: filteredResults.filter(h => h.label === 'Positive'),
+    Neutral: filteredResults.filter(h => h.label === 'Neutral'),
+    Negative: filteredResults.filter(h => h.label === 'Negative')
+  }), [filteredResults]);
+  const highlightTerms = useMemo(() => searchTerms(resultsQuery.q), [resultsQuery.q]);
+
+  // --- Bulk actions ---
+  const selectedItems = useMemo(() => history.filter(item => selectedIds.has(item.id)), [history, selectedIds]);
+
+  // Shift-click selects the range between the anchor and the clicked card within the same column
+  const toggleSelect = (item, shiftKey) => {
+    const column = categorizedHistory[item.label] || [];
+    const from = column.findIndex(h => h.id === selectionAnchor);
+    const to = column.indexOf(item);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (shiftKey && from !== -1 && to !== -1) {
+        column.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(h => next.add(h.id));
+      } else if (next.has(item.id)) {
+        next.delete(item.id);
+      } else {
+        next.add(item.id);
+      }
+      return next;
+    });
+    setSelectionAnchor(item.id);
+  };
+
+  const selectAllMatching = () => setSelectedIds(new Set(filteredResults.map(item => item.id)));
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectionAnchor(null);
+  };
+
+  const handleBulkRelabel = (label) => {
+    const changed = selectedItems.filter(item => item.label !== label);
+    if (!changed.length) return;
+    const at = new Date().toISOString();
+    const ids = new Set(changed.map(item => item.id));
+    setCorrections(prev => [...prev, ...changed.map(item => ({ id: item.id, from: item.label, to: label, at }))]);
+    setHistory(prev => prev.map(item => ids.has(item.id) ? applyLabel(item, label, 'human') : item));
+  };
+
+  const handleBulkTag = (tag) => {
+    setHistory(prev => prev.map(item => selectedIds.has(item.id) && !(item.tags || []).includes(tag)
+      ? { ...item, tags: [...(item.tags || []), tag] }
+      : item));
+  };
+
+  const handleRemoveTag = (id, tag) => {
+    setHistory(prev => prev.map(item => item.id === id ? { ...item, tags: item.tags.filter(t => t !== tag) } : item));
+  };
+
+  // Remembers each item's position so undo can put it back where it was
+  const handleBulkDelete = () => {
+    const entries = [];
+    history.forEach((item, index) => {
+      if (selectedIds.has(item.id)) entries.push({ item, index });
+    });
+    if (!entries.length) return;
+    setHistory(prev => prev.filter(item => !selectedIds.has(item.id)));
+    setUndoDelete({ entries });
+    clearSelection();
+  };
+
+  const handleUndoDelete = () => {
+    if (!undoDelete) return;
+    setHistory(prev => {
+      const next = [...prev];
+      undoDelete.entries.forEach(({ item, index }) => next.splice(Math.min(index, next.length), 0, item));
+      return next;
+    });
+    setUndoDelete(null);
+  };
+
+  useEffect(() => {
+    if (!undoDelete) return;
+    const timer = setTimeout(() => setUndoDelete(null), 10000);
+    return () => clearTimeout(timer);
+  }, [undoDelete]);
+
+  const sourceCounts = useMemo(() => {
+    const counts = {};
+    history.forEach(h => {
+      const source = getLabelSource(h);
+      counts[source] = (counts[source] || 0) + 1;
+    });
+    return counts;
   }, [history]);
 
   return (
@@ -456,9 +1208,57 @@ export default function App() {
               <ListFilter size={16} />
               Detailed Results
             </button>
+            <button
+              onClick={() => setActiveTab('queue')}
+              className={`flex items-center gap-2 px-4 py-1.5 rounded-md text-sm font-medium transition-all ${activeTab === 'queue' ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <Target size={16} />
+              Label Queue
+              {unverifiedCount > 0 && <span className="text-[10px] font-bold bg-indigo-100 text-indigo-700 px-1.5 rounded-full">{unverifiedCount}</span>}
+            </button>
+            <button
+              onClick={() => setActiveTab('evaluation')}
+              className={`flex items-center gap-2 px-4 py-1.5 rounded-md text-sm font-medium transition-all ${activeTab === 'evaluation' ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <Gauge size={16} />
+              Evaluation
+            </button>
+            <button
+              onClick={() => setActiveTab('audit')}
+              className={`flex items-center gap-2 px-4 py-1.5 rounded-md text-sm font-medium transition-all ${activeTab === 'audit' ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <ShieldCheck size={16} />
+              AI Audit
+            </button>
           </div>
 
           <div className="flex items-center gap-3">
+             {/* Workspace Switcher */}
+             <div className="flex items-center gap-1 bg-slate-100 rounded-lg px-2 py-1">
+               <FolderOpen size={14} className="text-slate-500" />
+               <select
+                 value={workspace}
+                 onChange={(e) => openWorkspace(e.target.value)}
+                 disabled={!isHydrated}
+                 className="bg-transparent text-sm font-medium text-slate-700 outline-none cursor-pointer"
+                 title="Switch workspace"
+               >
+                 {workspaces.map(w => <option key={w} value={w}>{w}</option>)}
+               </select>
+               <button onClick={handleCreateWorkspace} className="p-1 text-slate-400 hover:text-indigo-600 rounded" title="New workspace">
+                 <Plus size={14} />
+               </button>
+               <button onClick={handleDeleteWorkspace} disabled={!isHydrated} className="p-1 text-slate-400 hover:text-rose-600 rounded" title="Delete workspace">
+                 <Trash2 size={14} />
+               </button>
+             </div>
+             <button
+              onClick={() => setShowSettings(true)}
+              className="p-2 text-slate-500 hover:text-indigo-600 hover:bg-slate-100 rounded-lg transition-colors"
+              title={`AI provider: ${PROVIDERS[llmSettings.provider].label}`}
+             >
+               <Settings size={18} />
+             </button>
              <button 
               onClick={() => setShowChat(!showChat)}
               className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-lg hover:shadow-md transition-all font-medium text-sm"
@@ -471,6 +1271,40 @@ export default function App() {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-8">
+        {/* AI Error Banner */}
+        {aiError && (
+          <div className="mb-6 p-3 bg-rose-50 border border-rose-100 rounded-xl text-sm text-rose-700 flex items-center gap-3">
+            <AlertCircle size={16} className="flex-shrink-0" />
+            <div className="flex-1">
+              <span className="font-semibold">{aiError.feature} failed:</span> {aiError.message}
+            </div>
+            <button onClick={() => setShowSettings(true)} className="text-xs font-medium underline hover:text-rose-900">Provider settings</button>
+            <button onClick={() => setAiError(null)} className="text-rose-400 hover:text-rose-600"><X size={14} /></button>
+          </div>
+        )}
+
+        {/* Import Summary Banner */}
+        {importSummary && (
+          <div className="mb-6 p-3 bg-white border border-indigo-100 rounded-xl shadow-sm text-sm text-slate-600 flex items-center gap-3">
+            <Check size={16} className="text-emerald-500 flex-shrink-0" />
+            <div className="flex-1">
+              <span className="font-semibold text-slate-800">{importSummary.fileName}</span>: {importSummary.total} rows read
+              {importSummary.predicted > 0 && ` · ${importSummary.predicted} labeled by the model`}
+              {importSummary.uncertain > 0 && (
+                <> · <span className="text-amber-600">{importSummary.uncertain} below {Math.round(uncertaintyThreshold * 100)}% confidence</span></>
+              )}
+              {importSummary.predicted === 0 && (
+                <> · <span className="text-emerald-600">{importSummary.accepted} accepted</span>
+                 · <span className="text-indigo-600">{importSummary.remapped} remapped</span>
+                 · <span className="text-rose-600">{importSummary.rejected} rejected</span></>
+              )}
+              {importSummary.skipped > 0 && ` · ${importSummary.skipped} duplicates skipped`}
+              {importSummary.merged > 0 && ` · ${importSummary.merged} merged into existing reviews`}
+              {importSummary.rowErrors?.total > 0 && <SkippedRows errors={importSummary.rowErrors} />}
+            </div>
+            <button onClick={() => setImportSummary(null)} className="text-slate-400 hover:text-slate-600"><X size={14} /></button>
+          </div>
+        )}
         
         {activeTab === 'dashboard' ? (
           <div className="grid grid-cols-1 lg:grid-cols-12 gap-8 animate-in fade-in zoom-in-95 duration-300">
@@ -485,7 +1319,7 @@ export default function App() {
                     Analyze Feedback
                   </label>
                   <div className="flex items-center gap-2">
-                    <span className="text-xs font-mono text-slate-400">Model: Naive Bayes v1.0</span>
+                    <span className="text-xs font-mono text-slate-400">Model: Naive Bayes v1.0{modelSource === 'imported' && ' (imported)'}</span>
                   </div>
                 </div>
                 <div className="p-4">
@@ -495,6 +1329,19 @@ export default function App() {
                     placeholder="Type a review to classify it (e.g., 'The shipping was super fast')..."
                     className="w-full h-32 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all resize-none text-slate-700 text-lg"
                   />
+
+                  {/* Token Contribution Preview */}
+                  {input.trim() && (
+                    <div className="mt-2 px-3 py-2 bg-white border border-slate-100 rounded-lg">
+                      <span className="text-[10px] font-semibold uppercase text-slate-400">Why this label</span>
+                      <ExplainableText
+                        text={input}
+                        explain={explainText}
+                        modelVersion={modelInfo?.createdAt}
+                        className="text-sm text-slate-600 leading-relaxed"
+                      />
+                    </div>
+                  )}
                   
                   <div className="flex justify-between items-center mt-4">
                     <div className="flex items-center gap-2">
@@ -504,7 +1351,11 @@ export default function App() {
                         {prediction.label === 'Negative' && <Frown size={18} />}
                         {prediction.label === 'Neutral' && <Meh size={18} />}
                         <span className="font-bold text-sm">{prediction.label}</span>
+                        {prediction.confidence !== undefined && (
+                          <span className="text-xs font-mono opacity-70">{Math.round(prediction.confidence * 100)}%</span>
+                        )}
                         </div>
+                        {isUncertain(prediction) && <UncertainBadge confidence={prediction.confidence} />}
 
                         {/* AI Verification Button */}
                         {input.trim() && (
@@ -530,11 +1381,23 @@ export default function App() {
                   </div>
 
                   {/* AI Verification Result Box */}
-                  {aiVerification && (
+                  {aiVerification && aiVerification.text === input && (
                     <div className="mt-3 p-3 bg-indigo-50 border border-indigo-100 rounded-lg text-sm text-indigo-900 flex gap-3 items-start animate-in fade-in slide-in-from-top-2">
                         <Sparkles size={16} className="text-indigo-500 mt-0.5 flex-shrink-0" />
-                        <div className="whitespace-pre-wrap leading-relaxed">
-                            {aiVerification}
+                        <div className="leading-relaxed space-y-1">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className={`px-2 py-0.5 rounded border text-xs font-bold ${getLabelColor(aiVerification.sentiment)}`}>
+                                AI: {aiVerification.sentiment} · {Math.round(aiVerification.confidence * 100)}%
+                              </span>
+                              <span className={`px-2 py-0.5 rounded border text-xs font-bold ${getLabelColor(prediction.label)}`}>
+                                Local: {prediction.label} · {Math.round(prediction.confidence * 100)}%
+                              </span>
+                              <span className={`text-xs font-semibold flex items-center gap-1 ${prediction.label === aiVerification.sentiment ? 'text-emerald-600' : 'text-amber-600'}`}>
+                                {prediction.label === aiVerification.sentiment ? <Check size={12} /> : <AlertCircle size={12} />}
+                                {prediction.label === aiVerification.sentiment ? 'Models agree' : 'Models disagree'}
+                              </span>
+                            </div>
+                            <p>{aiVerification.reasoning}</p>
                         </div>
                     </div>
                   )}
@@ -557,17 +1420,68 @@ export default function App() {
                           <FileSpreadsheet size={12}/> .CSV
                         </span>
                         <span className="text-[10px] font-medium bg-emerald-50 text-emerald-600 px-2 py-1 rounded border border-emerald-100 flex items-center gap-1">
-                          <FileSpreadsheet size={12}/> .XLSX
+                          <FileSpreadsheet size={12}/> .XLSX <ParserStatus state={parserState.excel} />
                         </span>
                         <span className="text-[10px] font-medium bg-indigo-50 text-indigo-600 px-2 py-1 rounded border border-indigo-100 flex items-center gap-1">
-                          <FileText size={12}/> .DOCX
+                          <FileText size={12}/> .DOCX <ParserStatus state={parserState.word} />
+                        </span>
+                        <span className="text-[10px] font-medium bg-rose-50 text-rose-600 px-2 py-1 rounded border border-rose-100 flex items-center gap-1">
+                          <FileText size={12}/> .PDF <ParserStatus state={parserState.pdf} />
+                        </span>
+                        <span className="text-[10px] font-medium bg-amber-50 text-amber-600 px-2 py-1 rounded border border-amber-100 flex items-center gap-1">
+                          <Code size={12}/> .HTML
                         </span>
                       </div>
                     </div>
+                    <button
+                      onClick={() => setPasteImport({ title: 'Paste Reviews', fileName: 'Pasted text', text: '' })}
+                      disabled={isProcessingFile}
+                      className="text-xs font-medium text-indigo-600 border border-indigo-100 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50 px-3 py-1.5 rounded-lg transition-colors flex items-center gap-1 flex-shrink-0"
+                    >
+                      <ClipboardPaste size={12} /> Paste text
+                    </button>
                  </div>
+                 {Object.entries(parserState).filter(([, state]) => state.status === 'error').map(([id, state]) => (
+                   <div key={id} className="mb-3 text-xs text-rose-700 bg-rose-50 border border-rose-100 rounded-lg px-3 py-2 flex items-center gap-2">
+                     <AlertCircle size={14} className="flex-shrink-0" />
+                     <span className="flex-1">{PARSERS[id].label} import is unavailable: the parser failed to load ({state.error}).</span>
+                     <button
+                       onClick={() => parserLoader.load(id).catch(() => {})}
+                       className="font-medium text-rose-700 hover:text-rose-900 flex items-center gap-1"
+                     >
+                       <RefreshCw size={12} /> Retry
+                     </button>
+                   </div>
+                 ))}
                  <label className={`flex flex-col items-center justify-center w-full h-24 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${isProcessingFile ? 'bg-slate-100 border-slate-300' : 'bg-slate-50 border-slate-300 hover:bg-slate-100'}`}>
                     <div className="flex flex-col items-center justify-center pt-5 pb-6">
-                        {isProcessingFile ? (
+                        {importProgress ? (
+                          <div className="w-72 space-y-1">
+                            <div className="flex items-center justify-between text-xs text-indigo-600 font-medium">
+                              <span className="flex items-center gap-2">
+                                <RefreshCw size={12} className="animate-spin" />
+                                {importProgress.phase === 'reading'
+                                  ? `Reading ${formatBytes(importProgress.done)} / ${formatBytes(importProgress.total)}`
+                                  : importProgress.phase === 'extracting'
+                                    ? `Extracting page ${importProgress.done} / ${importProgress.total || '…'}`
+                                    : `Labeling ${importProgress.done.toLocaleString()} / ${importProgress.total.toLocaleString()}`}
+                              </span>
+                              <button
+                                onClick={(e) => { e.preventDefault(); cancelProcessing(); }}
+                                className="text-slate-500 hover:text-rose-600"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                            <div className="h-1.5 bg-slate-200 rounded-full overflow-hidden">
+                              <div className="h-full bg-indigo-500 transition-all" style={{ width: `${importProgress.total ? (importProgress.done / importProgress.total) * 100 : 0}%` }} />
+                            </div>
+                            <div className="flex justify-between text-[10px] text-slate-400">
+                              <span>{importProgress.rows.toLocaleString()} rows</span>
+                              {estimateRemaining(importProgress) !== null && <span>~{formatDuration(estimateRemaining(importProgress))} left</span>}
+                            </div>
+                          </div>
+                        ) : isProcessingFile ? (
                           <div className="flex items-center gap-2 text-indigo-600 font-medium">
                             <RefreshCw size={18} className="animate-spin" />
                             Processing File...
@@ -575,12 +1489,12 @@ export default function App() {
                         ) : (
                           <p className="text-sm text-slate-500"><span className="font-semibold">Click to upload</span> or drag and drop</p>
                         )}
-                        <p className="text-xs text-slate-400 mt-1">Supports TXT, CSV, Excel, Word</p>
+                        <p className="text-xs text-slate-400 mt-1">Supports TXT, CSV, Excel, Word, JSON/JSONL, PDF, HTML</p>
                     </div>
                     <input 
                       type="file" 
                       className="hidden" 
-                      accept=".txt,.csv,.xlsx,.xls,.docx" 
+                      accept=".txt,.csv,.tsv,.xlsx,.xls,.docx,.json,.jsonl,.ndjson,.pdf,.html,.htm" 
                       onChange={handleFileUpload} 
                       disabled={isProcessingFile}
                     />
@@ -623,6 +1537,81 @@ export default function App() {
                 </button>
               </div>
 
+              {/* Model Management (Tool Card) */}
+              <div className="bg-white rounded-xl p-4 border border-slate-200 shadow-sm">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="font-semibold text-slate-800 text-sm flex items-center gap-2">
+                      <Cpu size={14} className="text-indigo-500" />
+                      Model {modelSource === 'imported' ? '(Imported)' : '(Trained Locally)'}
+                    </h4>
+                    {modelInfo && (
+                      <p className="text-xs text-slate-500 mt-0.5">
+                        {modelInfo.trainingSetSize} docs · {modelInfo.vocabularySize} terms · {new Date(modelInfo.createdAt).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={handleModelDownload}
+                      className="text-xs font-medium text-slate-600 border border-slate-200 px-2 py-1.5 rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-1"
+                      title="Download trained model"
+                    >
+                      <Download size={12} /> Export
+                    </button>
+                    <label className="text-xs font-medium text-slate-600 border border-slate-200 px-2 py-1.5 rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-1 cursor-pointer" title="Load a model file">
+                      <Upload size={12} /> Load
+                      <input type="file" className="hidden" accept=".json,application/json" onChange={handleModelUpload} />
+                    </label>
+                  </div>
+                </div>
+                <label className="mt-3 flex items-center gap-3 text-xs text-slate-500">
+                  <span className="whitespace-nowrap">Train on</span>
+                  <select
+                    value={trainingScope}
+                    onChange={(e) => setTrainingScope(e.target.value)}
+                    disabled={modelSource === 'imported'}
+                    className="flex-1 bg-slate-50 border border-slate-200 rounded px-2 py-1 text-slate-700 outline-none"
+                  >
+                    <option value="all">All labels ({history.length})</option>
+                    <option value="trusted">Human-verified & ground truth only ({history.filter(isTrusted).length})</option>
+                  </select>
+                </label>
+                <label className="mt-3 flex items-center gap-3 text-xs text-slate-500">
+                  <span className="whitespace-nowrap">Flag uncertain below</span>
+                  <input
+                    type="range"
+                    min={0.34}
+                    max={0.99}
+                    step={0.01}
+                    value={uncertaintyThreshold}
+                    onChange={(e) => setUncertaintyThreshold(Number(e.target.value))}
+                    className="flex-1 accent-indigo-600"
+                  />
+                  <span className="font-mono w-10 text-right">{Math.round(uncertaintyThreshold * 100)}%</span>
+                </label>
+                <TokenizerSettings
+                  options={tokenizerOptions}
+                  onChange={updateTokenizerOptions}
+                  locked={modelSource === 'imported'}
+                />
+                {modelSource === 'imported' && (
+                  <button
+                    onClick={discardImportedModel}
+                    className="mt-2 text-xs text-indigo-600 hover:text-indigo-800 font-medium flex items-center gap-1"
+                  >
+                    <RefreshCw size={12} /> Discard imported model and retrain from history
+                  </button>
+                )}
+                {modelError && (
+                  <div className="mt-2 p-2 bg-rose-50 border border-rose-100 rounded-lg text-xs text-rose-700 flex items-start gap-2">
+                    <AlertCircle size={14} className="flex-shrink-0 mt-0.5" />
+                    <span className="flex-1">{modelError}</span>
+                    <button onClick={() => setModelError(null)} className="text-rose-400 hover:text-rose-600"><X size={12} /></button>
+                  </div>
+                )}
+              </div>
+
               {/* AI Insights Section (Moved from left) */}
               <div className="bg-gradient-to-br from-indigo-50 to-white rounded-xl p-6 border border-indigo-100 shadow-sm h-[400px] flex flex-col">
                  <div className="flex items-center justify-between mb-4">
@@ -630,152 +1619,296 @@ export default function App() {
                       <Sparkles size={18} className="text-indigo-500"/> 
                       AI Deep Insights
                     </h3>
-                    <button 
-                      onClick={generateInsightReport}
-                      disabled={isGeneratingReport}
-                      className="text-xs font-medium bg-white border border-indigo-200 text-indigo-700 px-3 py-1.5 rounded-full hover:bg-indigo-50 transition-colors flex items-center gap-1 disabled:opacity-50"
-                    >
-                      {isGeneratingReport ? 'Analyzing...' : 'Generate Report ✨'}
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <button 
+                        onClick={generateInsightReport}
+                        disabled={isGeneratingReport}
+                        className="text-xs font-medium bg-white border border-indigo-200 text-indigo-700 px-3 py-1.5 rounded-full hover:bg-indigo-50 transition-colors flex items-center gap-1 disabled:opacity-50"
+                      >
+                        {isGeneratingReport ? 'Analyzing...' : 'Generate Report ✨'}
+                      </button>
+                      <button
+                        onClick={handlePrintReport}
+                        className="text-xs font-medium bg-white border border-slate-200 text-slate-600 px-3 py-1.5 rounded-full hover:bg-slate-50 transition-colors flex items-center gap-1"
+                        title="Printable report with stats, charts and these insights (save as PDF from the print dialog)"
+                      >
+                        <Printer size={12} /> Print
+                      </button>
+                    </div>
                  </div>
                  
                  <div className="flex-1 overflow-y-auto custom-scrollbar">
                     {aiReport ? (
-                      <div className="prose prose-sm max-w-none text-slate-600 bg-white/50 p-4 rounded-lg border border-indigo-50">
-                        <pre className="whitespace-pre-wrap font-sans text-sm leading-relaxed">{aiReport}</pre>
-                      </div>
+                      <InsightReport report={aiReport} knownIds={knownIds} onCite={focusReview} />
                     ) : (
                       <div className="text-center py-12 text-slate-400 text-sm border-2 border-dashed border-indigo-100 rounded-lg h-full flex items-center justify-center">
-                        <p className="px-8">Click generate above to get a comprehensive analysis of your {history.length} reviews using Gemini.</p>
+                        <p className="px-8">Click generate above to get a comprehensive analysis of your {history.length} reviews using {PROVIDERS[llmSettings.provider].label}.</p>
                       </div>
                     )}
                  </div>
               </div>
 
             </div>
+
+            <div className="lg:col-span-12">
+              <TrendPanel history={history} />
+            </div>
+
+            <div className="lg:col-span-12">
+              <AspectPanel
+                history={history}
+                aspects={aspects}
+                onChangeAspects={setAspects}
+                extractor={aspectExtractor}
+                onOpenReview={focusReview}
+              />
+            </div>
           </div>
+        ) : activeTab === 'queue' ? (
+          <LabelQueue
+            history={history}
+            predict={predictText}
+            explain={explainText}
+            modelVersion={modelInfo?.createdAt}
+            onAnswer={handleVerify}
+          />
+        ) : activeTab === 'evaluation' ? (
+          <EvaluationPanel history={trainingSet} tokenizerOptions={tokenizerOptions} onCorrection={handleCorrection} />
+        ) : activeTab === 'audit' ? (
+          <AuditPanel
+            history={history}
+            classify={(item) => classifyWithAI(item.text)}
+            providerLabel={PROVIDERS[llmSettings.provider].label}
+            onRecord={handleAuditRecord}
+            onAdopt={handleAuditAdopt}
+          />
         ) : (
           /* RESULTS VIEW - CATEGORIZED */
           <div className="animate-in fade-in zoom-in-95 duration-300">
+            <ResultsFilters
+              query={resultsQuery}
+              onChange={updateResultsQuery}
+              sourceCounts={sourceCounts}
+              totalCount={history.length}
+              matchCount={filteredResults.length}
+              onFindDuplicates={() => setShowDedupe(true)}
+              onExport={handleResultsExport}
+            />
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              
-              {/* Positive Column */}
-              <div className="bg-emerald-50/50 rounded-2xl border border-emerald-100 p-4 min-h-[500px]">
-                <div className="flex items-center justify-between mb-4 px-2">
-                  <h3 className="font-bold text-emerald-800 flex items-center gap-2">
-                    <Smile size={20} className="text-emerald-500" />
-                    Positive ({categorizedHistory.Positive.length})
-                  </h3>
-                </div>
-                <div className="space-y-3">
-                  {categorizedHistory.Positive.map(item => (
-                     <ReviewCard 
-                       key={item.id} 
-                       item={item} 
-                       colorClass="bg-white border-emerald-100 hover:border-emerald-300"
-                       badgeClass="bg-emerald-100 text-emerald-700"
-                       handleCorrection={handleCorrection}
-                       generateSmartReply={generateSmartReply}
-                       generatedReplies={generatedReplies}
-                       draftingReplyId={draftingReplyId}
-                       copyReply={copyReply}
-                     />
-                  ))}
-                  {categorizedHistory.Positive.length === 0 && <EmptyState text="No positive reviews yet." />}
-                </div>
-              </div>
-
-              {/* Neutral Column */}
-              <div className="bg-slate-50/50 rounded-2xl border border-slate-200 p-4 min-h-[500px]">
-                <div className="flex items-center justify-between mb-4 px-2">
-                  <h3 className="font-bold text-slate-700 flex items-center gap-2">
-                    <Meh size={20} className="text-slate-400" />
-                    Neutral ({categorizedHistory.Neutral.length})
-                  </h3>
-                </div>
-                <div className="space-y-3">
-                  {categorizedHistory.Neutral.map(item => (
-                     <ReviewCard 
-                       key={item.id} 
-                       item={item} 
-                       colorClass="bg-white border-slate-200 hover:border-slate-300"
-                       badgeClass="bg-slate-100 text-slate-700"
-                       handleCorrection={handleCorrection}
-                       generateSmartReply={generateSmartReply}
-                       generatedReplies={generatedReplies}
-                       draftingReplyId={draftingReplyId}
-                       copyReply={copyReply}
-                     />
-                  ))}
-                  {categorizedHistory.Neutral.length === 0 && <EmptyState text="No neutral reviews yet." />}
-                </div>
-              </div>
-
-              {/* Negative Column */}
-              <div className="bg-rose-50/50 rounded-2xl border border-rose-100 p-4 min-h-[500px]">
-                <div className="flex items-center justify-between mb-4 px-2">
-                  <h3 className="font-bold text-rose-800 flex items-center gap-2">
-                    <Frown size={20} className="text-rose-500" />
-                    Negative ({categorizedHistory.Negative.length})
-                  </h3>
-                </div>
-                <div className="space-y-3">
-                  {categorizedHistory.Negative.map(item => (
-                     <ReviewCard 
-                       key={item.id} 
-                       item={item} 
-                       colorClass="bg-white border-rose-100 hover:border-rose-300"
-                       badgeClass="bg-rose-100 text-rose-700"
-                       handleCorrection={handleCorrection}
-                       generateSmartReply={generateSmartReply}
-                       generatedReplies={generatedReplies}
-                       draftingReplyId={draftingReplyId}
-                       copyReply={copyReply}
-                     />
-                  ))}
-                  {categorizedHistory.Negative.length === 0 && <EmptyState text="No negative reviews yet." />}
-                </div>
-              </div>
-
+              {RESULT_COLUMNS.filter(column => !resultsQuery.labels.length || resultsQuery.labels.includes(column.label)).map(column => {
+                const items = categorizedHistory[column.label];
+                const limit = columnLimits[column.label];
+                const Icon = column.icon;
+                return (
+                  <div key={column.label} className={`rounded-2xl border p-4 min-h-[500px] ${column.columnClass}`}>
+                    <div className="flex items-center justify-between mb-4 px-2">
+                      <h3 className={`font-bold flex items-center gap-2 ${column.titleClass}`}>
+                        <Icon size={20} className={column.iconClass} />
+                        {column.label} ({items.length})
+                      </h3>
+                    </div>
+                    <div className="space-y-3">
+                      {items.slice(0, limit).map(item => (
+                         <ReviewCard 
+                           key={item.id} 
+                           item={item} 
+                           colorClass={column.cardClass}
+                           badgeClass={column.badgeClass}
+                           handleCorrection={handleCorrection}
+                           generateSmartReply={generateSmartReply}
+                           generatedReplies={generatedReplies}
+                           isDrafting={draftingReplyIds.has(item.id)}
+                           copyReply={copyReply}
+                           isUncertain={isUncertain(item)}
+                           isFocused={String(item.id) === focusedReviewId}
+                           isSelected={selectedIds.has(item.id)}
+                           onToggleSelect={toggleSelect}
+                           onRemoveTag={handleRemoveTag}
+                           highlightTerms={highlightTerms}
+                           modelVersion={modelInfo?.createdAt}
+                         />
+                      ))}
+                      {items.length > limit && (
+                        <button
+                          onClick={() => setColumnLimits(prev => ({ ...prev, [column.label]: prev[column.label] + RESULTS_PAGE_SIZE }))}
+                          className="w-full text-xs font-medium text-slate-600 bg-white border border-slate-200 rounded-lg py-2 hover:bg-slate-50 transition-colors"
+                        >
+                          Show {Math.min(RESULTS_PAGE_SIZE, items.length - limit)} more ({items.length - limit} remaining)
+                        </button>
+                      )}
+                      {items.length === 0 && <EmptyState text={history.some(h => h.label === column.label) ? 'No matching reviews.' : column.empty} />}
+                    </div>
+                  </div>
+                );
+              })}
             </div>
           </div>
         )}
       </main>
 
+      {/* Bulk actions, reply queue progress and delete undo */}
+      <BulkActionBar
+        selectedCount={selectedItems.length}
+        matchCount={filteredResults.length}
+        onSelectAll={selectAllMatching}
+        onClear={clearSelection}
+        onRelabel={handleBulkRelabel}
+        onTag={handleBulkTag}
+        onDelete={handleBulkDelete}
+        onDraftReplies={() => draftReplies(selectedItems)}
+        replyJob={replyJob}
+        onRetryReplies={retryFailedReplies}
+        onStopReplies={() => { replyStopRef.current = true; }}
+        onDismissReplies={() => setReplyJob(null)}
+        undo={undoDelete}
+        onUndo={handleUndoDelete}
+        onDismissUndo={() => setUndoDelete(null)}
+      />
+
+      {/* Column Mapping Wizard */}
+      {pendingImport && (
+        <ImportWizard
+          fileName={pendingImport.fileName}
+          rows={pendingImport.rows}
+          hasHeader={pendingImport.hasHeader}
+          labelOverrides={labelOverrides}
+          onConfirm={importMappedRows}
+          onCancel={cancelImport}
+        />
+      )}
+
+      {/* Pasted text (or PDF text) split into reviews */}
+      {pasteImport && (
+        <PasteImportDialog
+          title={pasteImport.title}
+          initialText={pasteImport.text}
+          onConfirm={confirmPasteImport}
+          onCancel={cancelPasteImport}
+        />
+      )}
+
+      {/* Selector-based extraction from saved HTML pages */}
+      {htmlImport && (
+        <HtmlImportDialog
+          fileName={htmlImport.fileName}
+          html={htmlImport.html}
+          onConfirm={confirmHtmlImport}
+          onCancel={cancelHtmlImport}
+        />
+      )}
+
+      {/* Duplicate review for an import, or over the whole history */}
+      {pendingDedupe && (
+        <DuplicateReview
+          fileName={pendingDedupe.fileName}
+          incoming={pendingDedupe.entries}
+          existing={history}
+          initialPairs={pendingDedupe.pairs}
+          onConfirm={resolveImportDuplicates}
+          onCancel={cancelDedupe}
+        />
+      )}
+      {showDedupe && (
+        <DuplicateReview
+          existing={history}
+          onConfirm={resolveHistoryDuplicates}
+          onCancel={() => setShowDedupe(false)}
+        />
+      )}
+
+      {/* LLM Provider Settings */}
+      {showSettings && (
+        <SettingsPanel settings={llmSettings} onSave={handleSaveSettings} onClose={() => setShowSettings(false)} />
+      )}
+
       {/* Floating Chatbot */}
       {showChat && (
-        <ChatBot history={history} onClose={() => setShowChat(false)} />
+        <ChatBot
+          history={history}
+          messages={chatMessages}
+          setMessages={setChatMessages}
+          onExport={handleChatExport}
+          getRetrieval={getRetrieval}
+          knownIds={knownIds}
+          onCite={focusReview}
+          callAI={callAI}
+          providerLabel={PROVIDERS[llmSettings.provider].label}
+          onClose={() => setShowChat(false)}
+        />
       )}
     </div>
   );
 }
 
 // Sub-components to keep code clean
-const ReviewCard = ({ item, colorClass, badgeClass, handleCorrection, generateSmartReply, generatedReplies, draftingReplyId, copyReply }) => (
-  <div className={`p-4 rounded-xl border shadow-sm transition-all group ${colorClass}`}>
+const ReviewCard = ({ item, colorClass, badgeClass, handleCorrection, generateSmartReply, generatedReplies, isDrafting, copyReply, isUncertain, isFocused, isSelected, onToggleSelect, onRemoveTag, highlightTerms, modelVersion }) => (
+  <div id={`review-${item.id}`} className={`p-4 rounded-xl border shadow-sm transition-all group ${colorClass} ${isFocused ? 'ring-2 ring-indigo-500 ring-offset-2' : isSelected ? 'ring-2 ring-indigo-300' : ''}`}>
     <div className="flex justify-between items-start mb-2">
-      <select 
-        value={item.label}
-        onChange={(e) => handleCorrection(item.id, e.target.value)}
-        className={`text-[10px] font-bold px-2 py-0.5 rounded cursor-pointer outline-none border-none uppercase tracking-wide ${badgeClass}`}
-      >
-        <option value="Positive">Positive</option>
-        <option value="Neutral">Neutral</option>
-        <option value="Negative">Negative</option>
-      </select>
-      <span className="text-[10px] text-slate-400">{item.timestamp}</span>
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={isSelected}
+          onChange={() => {}}
+          onClick={(e) => onToggleSelect(item, e.shiftKey)}
+          className="cursor-pointer accent-indigo-600"
+          title="Select (shift-click for a range)"
+        />
+        <select 
+          value={item.label}
+          onChange={(e) => handleCorrection(item.id, e.target.value)}
+          className={`text-[10px] font-bold px-2 py-0.5 rounded cursor-pointer outline-none border-none uppercase tracking-wide ${badgeClass}`}
+        >
+          <option value="Positive">Positive</option>
+          <option value="Neutral">Neutral</option>
+          <option value="Negative">Negative</option>
+        </select>
+      </div>
+      <div className="flex items-center gap-2">
+        {isUncertain && <UncertainBadge confidence={item.confidence} />}
+        <SourceBadge item={item} />
+        <span className="text-[10px] text-slate-400" title={item.timestamp}>
+          {getReviewDate(item)?.toLocaleDateString() || item.timestamp}
+        </span>
+      </div>
+    </div>
+    <div className="mb-3">
+      <ExplainableText
+        text={item.text}
+        explain={explainText}
+        modelVersion={modelVersion}
+        highlightTerms={highlightTerms}
+        className="text-slate-800 text-sm leading-relaxed"
+      />
     </div>
-    <p className="text-slate-800 text-sm mb-3 leading-relaxed">{item.text}</p>
+    {item.metadata && Object.keys(item.metadata).length > 0 && (
+      <div className="flex flex-wrap gap-1 mb-3">
+        {Object.entries(item.metadata).map(([key, value]) => (
+          <span key={key} className="text-[10px] bg-slate-100 text-slate-500 px-1.5 py-0.5 rounded">
+            <span className="font-semibold uppercase">{key}:</span> {value}
+          </span>
+        ))}
+      </div>
+    )}
+    {item.tags?.length > 0 && (
+      <div className="flex flex-wrap gap-1 mb-3">
+        {item.tags.map(tag => (
+          <span key={tag} className="text-[10px] bg-indigo-50 text-indigo-600 border border-indigo-100 px-1.5 py-0.5 rounded flex items-center gap-1">
+            #{tag}
+            <button onClick={() => onRemoveTag(item.id, tag)} className="hover:text-indigo-900" title="Remove tag"><X size={10} /></button>
+          </span>
+        ))}
+      </div>
+    )}
     
     {/* Smart Reply Actions */}
     <div className="border-t border-dashed border-slate-100 pt-2 flex flex-col gap-2">
       {!generatedReplies[item.id] ? (
         <button 
           onClick={() => generateSmartReply(item)}
-          disabled={draftingReplyId === item.id}
+          disabled={isDrafting}
           className="self-start text-[10px] flex items-center gap-1.5 text-slate-400 hover:text-indigo-600 font-medium px-2 py-1 hover:bg-slate-50 rounded transition-colors"
         >
-            {draftingReplyId === item.id ? (
+            {isDrafting ? (
               <>Generating...</>
             ) : (
               <>
@@ -800,8 +1933,172 @@ const ReviewCard = ({ item, colorClass, badgeClass, handleCorrection, generateSm
   </div>
 );
 
+// Expandable list of rows an import skipped, by reason
+const SkippedRows = ({ errors }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      {' · '}
+      <button onClick={() => setOpen(!open)} className="text-amber-600 hover:text-amber-700 underline decoration-dotted">
+        {errors.total} rows skipped
+      </button>
+      {open && (
+        <div className="mt-2 text-xs space-y-1">
+          <p className="text-slate-500">
+            {Object.entries(errors.counts).map(([reason, count]) => `${ROW_ERROR_REASONS[reason] || reason}: ${count}`).join(' · ')}
+          </p>
+          {errors.samples.length > 0 && (
+            <ul className="max-h-40 overflow-y-auto border border-slate-100 rounded divide-y divide-slate-100">
+              {errors.samples.map((sample, i) => (
+                <li key={i} className="px-2 py-1 flex gap-2">
+                  <span className="font-mono text-slate-400 w-14 flex-shrink-0">{sample.line ? `line ${sample.line}` : '—'}</span>
+                  <span className="text-amber-700 flex-shrink-0">{ROW_ERROR_REASONS[sample.reason] || sample.reason}{sample.detail && `: ${sample.detail}`}</span>
+                  <span className="text-slate-500 truncate">{sample.preview}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+const REPORT_LISTS = [
+  { key: 'complaints', title: 'Top Complaints', className: 'text-rose-600' },
+  { key: 'praisedFeatures', title: 'Praised Features', className: 'text-emerald-600' }
+];
+
+const InsightReport = ({ report, knownIds, onCite }) => (
+  <div className="space-y-3 text-sm text-slate-600 bg-white/50 p-4 rounded-lg border border-indigo-50">
+    <div>
+      <h4 className="text-xs font-bold text-slate-500 uppercase mb-1">Overall Trend</h4>
+      <p className="leading-relaxed"><CitedText text={report.overallTrend} knownIds={knownIds} onCite={onCite} /></p>
+    </div>
+    {REPORT_LISTS.map(({ key, title, className }) => (
+      <div key={key}>
+        <h4 className={`text-xs font-bold uppercase mb-1 ${className}`}>{title}</h4>
+        {report[key].length ? (
+          <ul className="list-disc pl-5 space-y-0.5">
+            {report[key].map((entry, i) => <li key={i}><CitedText text={entry} knownIds={knownIds} onCite={onCite} /></li>)}
+          </ul>
+        ) : (
+          <p className="text-slate-400 italic">None found.</p>
+        )}
+      </div>
+    ))}
+    <div className="p-2 bg-indigo-50 border border-indigo-100 rounded text-indigo-900">
+      <h4 className="text-xs font-bold text-indigo-600 uppercase mb-1">Recommendation</h4>
+      <p className="leading-relaxed"><CitedText text={report.recommendation} knownIds={knownIds} onCite={onCite} /></p>
+    </div>
+  </div>
+);
+
+// Renders [#id] citations in AI output as links to the cited review
+const CitedText = ({ text, knownIds, onCite }) => (
+  <span className="whitespace-pre-wrap">
+    {splitCitations(text, knownIds).map((part, i) => (part.citation ? (
+      <button
+        key={i}
+        onClick={() => onCite(part.citation)}
+        className="inline text-[11px] font-mono font-semibold text-indigo-600 bg-indigo-50 hover:bg-indigo-100 px-1 rounded mx-0.5"
+        title="Show this review in Detailed Results"
+      >
+        #{part.citation}
+      </button>
+    ) : (
+      <React.Fragment key={i}>{part.text}</React.Fragment>
+    )))}
+  </span>
+);
+
 const EmptyState = ({ text }) => (
   <div className="text-center py-10 opacity-40">
     <p className="text-sm text-slate-500 font-medium italic">{text}</p>
   </div>
-);
\ No newline at end of file
+);
+
+// Availability of a bundled parser library inside its format badge
+const ParserStatus = ({ state }) => {
+  if (state.status === 'loading') return <span title="Loading parser..."><RefreshCw size={10} className="animate-spin" /></span>;
+  if (state.status === 'error') return <span title={`Parser failed to load: ${state.error}`}><AlertCircle size={10} className="text-rose-600" /></span>;
+  if (state.status === 'ready') return <span title="Ready"><Check size={10} /></span>;
+  return <span title="Loads on first use"><Download size={10} className="opacity-50" /></span>;
+};
+
+const UncertainBadge = ({ confidence }) => (
+  <span
+    className="text-[10px] font-semibold text-amber-700 bg-amber-50 border border-amber-200 px-1.5 py-0.5 rounded flex items-center gap-1"
+    title={`Model confidence ${Math.round(confidence * 100)}%`}
+  >
+    <AlertCircle size={10} />
+    Uncertain
+  </span>
+);
+
+const PIPELINE_TOGGLES = [
+  { key: 'negation', label: 'Negation scoping' },
+  { key: 'bigrams', label: 'Bigrams' },
+  { key: 'emoticons', label: 'Emoticons & emoji' },
+  { key: 'stopwords', label: 'Stopwords' },
+  { key: 'stemming', label: 'Light stemming' }
+];
+
+const TokenizerSettings = ({ options, onChange, locked }) => (
+  <details className="mt-3 text-xs text-slate-600">
+    <summary className="cursor-pointer font-medium text-slate-500 hover:text-slate-700">
+      Text pipeline {options.legacy && <span className="text-slate-400">(legacy v1 tokenizer)</span>}
+    </summary>
+    {locked && <p className="mt-2 text-slate-400">The imported model's pipeline is fixed. Retrain from history to change it.</p>}
+    <fieldset disabled={locked} className="mt-2 space-y-2 disabled:opacity-60">
+      <div className="grid grid-cols-2 gap-1">
+        {PIPELINE_TOGGLES.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-2">
+            <input type="checkbox" checked={Boolean(options[key])} onChange={(e) => onChange({ [key]: e.target.checked })} />
+            {label}
+          </label>
+        ))}
+        <label className="flex items-center gap-2">
+          Min length
+          <input
+            type="number"
+            min={1}
+            max={5}
+            value={options.minTokenLength}
+            onChange={(e) => onChange({ minTokenLength: Math.max(1, Number(e.target.value) || 1) })}
+            className="w-12 bg-slate-50 border border-slate-200 rounded px-1 py-0.5"
+          />
+        </label>
+      </div>
+      {options.stopwords && (
+        <textarea
+          key={options.stopwordList.join(',')}
+          defaultValue={options.stopwordList.join(', ')}
+          onBlur={(e) => onChange({ stopwordList: e.target.value.split(',').map(w => w.trim().toLowerCase()).filter(Boolean) })}
+          className="w-full h-16 p-2 bg-slate-50 border border-slate-200 rounded-lg resize-none font-mono text-[11px]"
+          title="Comma-separated stopwords, applied on blur"
+        />
+      )}
+    </fieldset>
+  </details>
+);
+
+const SOURCE_BADGE_CLASSES = {
+  seed: 'text-slate-500 bg-slate-50 border-slate-200',
+  import: 'text-sky-700 bg-sky-50 border-sky-200',
+  human: 'text-emerald-700 bg-emerald-50 border-emerald-200',
+  model: 'text-indigo-600 bg-indigo-50 border-indigo-100',
+  synthetic: 'text-violet-700 bg-violet-50 border-violet-200'
+};
+
+const SourceBadge = ({ item }) => {
+  const source = getLabelSource(item);
+  const trail = (item.labelHistory || [])
+    .map(h => `${h.label} · ${LABEL_SOURCES[h.source] || h.source}${h.at ? ` · ${new Date(h.at).toLocaleString()}` : ''}`)
+    .join('\n');
+  return (
+    <span className={`text-[10px] font-medium border px-1.5 py-0.5 rounded ${SOURCE_BADGE_CLASSES[source]}`} title={trail || LABEL_SOURCES[source]}>
+      {LABEL_SOURCES[source]}
+    </span>
+  );
+};
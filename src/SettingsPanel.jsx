@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { X, Settings, Plug, RefreshCw, Check, AlertCircle } from 'lucide-react';
+import { PROVIDERS, callLLM } from './llm';
+
+const FIELD_LABELS = {
+  apiKey: 'API key',
+  model: 'Model',
+  baseUrl: 'Base URL'
+};
+
+/**
+ * Modal for choosing and configuring the LLM provider used by all AI features.
+ */
+const SettingsPanel = ({ settings, onSave, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  const provider = PROVIDERS[draft.provider];
+
+  const setField = (field, value) => {
+    setDraft(prev => ({ ...prev, [prev.provider]: { ...prev[prev.provider], [field]: value } }));
+    setTestResult(null);
+  };
+
+  const testConnection = async () => {
+    setIsTesting(true);
+    setTestResult(await callLLM({ task: 'ping', prompt: 'Reply with the single word OK.' }, draft));
+    setIsTesting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+            <Settings size={18} className="text-indigo-500" />
+            AI Provider Settings
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 p-1 rounded"><X size={16} /></button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(PROVIDERS).map(([id, p]) => (
+              <button
+                key={id}
+                onClick={() => { setDraft(prev => ({ ...prev, provider: id })); setTestResult(null); }}
+                className={`text-left text-sm px-3 py-2 rounded-lg border transition-colors ${draft.provider === id ? 'border-indigo-500 bg-indigo-50 text-indigo-700 font-medium' : 'border-slate-200 text-slate-600 hover:border-indigo-300'}`}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+
+          {provider.fields.map(field => (
+            <label key={field} className="text-xs font-semibold text-slate-500 uppercase flex flex-col gap-1">
+              {FIELD_LABELS[field]}
+              <input
+                type={field === 'apiKey' ? 'password' : 'text'}
+                value={draft[draft.provider][field] || ''}
+                onChange={(e) => setField(field, e.target.value)}
+                className="text-sm font-normal normal-case bg-slate-50 border border-slate-200 rounded-lg px-3 py-2 text-slate-700 outline-none focus:ring-2 focus:ring-indigo-500"
+                autoComplete="off"
+              />
+            </label>
+          ))}
+          {draft.provider === 'local' && (
+            <p className="text-xs text-slate-400">Uses the OpenAI-compatible endpoint. Ollama: http://localhost:11434/v1 · llama.cpp server: http://localhost:8080/v1</p>
+          )}
+          {draft.provider === 'mock' && (
+            <p className="text-xs text-slate-400">Returns canned, deterministic answers for every AI feature. No network access.</p>
+          )}
+
+          {testResult && (
+            <div className={`p-2 rounded-lg text-xs flex items-start gap-2 ${testResult.ok ? 'bg-emerald-50 text-emerald-700' : 'bg-rose-50 text-rose-700'}`}>
+              {testResult.ok ? <Check size={14} className="flex-shrink-0" /> : <AlertCircle size={14} className="flex-shrink-0" />}
+              <span>{testResult.ok ? 'Connected. The provider responded.' : `${testResult.error.type} error: ${testResult.error.message}`}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-100 flex justify-between">
+          <button
+            onClick={testConnection}
+            disabled={isTesting}
+            className="px-3 py-2 text-sm font-medium text-slate-600 border border-slate-200 rounded-lg hover:bg-slate-50 flex items-center gap-2 disabled:opacity-50"
+          >
+            {isTesting ? <RefreshCw size={14} className="animate-spin" /> : <Plug size={14} />}
+            Test connection
+          </button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg transition-colors">Cancel</button>
+            <button onClick={() => onSave(draft)} className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors">Save</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+import { TrendingUp, AlertTriangle } from 'lucide-react';
+import { buildTrend } from './trends';
+
+const WIDTH = 720;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 40, bottom: 28, left: 32 };
+
+const BAR_COLORS = { Positive: '#34d399', Neutral: '#cbd5e1', Negative: '#fb7185' };
+const STACK_ORDER = ['Negative', 'Neutral', 'Positive'];
+
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+const formatBucket = (start, granularity) => (granularity === 'week'
+  ? `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+  : start.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }));
+
+/**
+ * Dashboard card: review volume by sentiment over time, the rolling negative
+ * share against its baseline, and the periods flagged as regressions.
+ */
+const TrendPanel = ({ history }) => {
+  const [granularity, setGranularity] = useState('day');
+  const [includeCaptured, setIncludeCaptured] = useState(true);
+  const [hovered, setHovered] = useState(null);
+
+  const trend = useMemo(
+    () => buildTrend(history, { granularity, includeCaptured, window: granularity === 'week' ? 4 : 7 }),
+    [history, granularity, includeCaptured]
+  );
+  const { buckets, baseline } = trend;
+  const flagged = buckets.filter(b => b.flagged);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxCount = Math.max(1, ...buckets.map(b => b.total));
+  const step = buckets.length ? plotWidth / buckets.length : 0;
+  const barWidth = Math.max(1, step * 0.7);
+  const yCount = (n) => PADDING.top + plotHeight - (n / maxCount) * plotHeight;
+  const yShare = (share) => PADDING.top + plotHeight - share * plotHeight;
+  const xCenter = (i) => PADDING.left + step * i + step / 2;
+
+  const rollingPath = buckets
+    .map((b, i) => (b.rollingShare === null ? null : `${xCenter(i).toFixed(1)},${yShare(b.rollingShare).toFixed(1)}`))
+    .filter(Boolean)
+    .map((point, i) => `${i ? 'L' : 'M'}${point}`)
+    .join(' ');
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+
+  return (
+    <div className="bg-white rounded-xl p-6 border border-slate-200 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="font-semibold text-slate-800 flex items-center gap-2">
+          <TrendingUp size={18} className="text-indigo-500" />
+          Sentiment Over Time
+        </h3>
+        <div className="flex items-center gap-3">
+          <label className="text-xs text-slate-600 flex items-center gap-1" title="Reviews without their own date are placed at the time they were added">
+            <input type="checkbox" checked={includeCaptured} onChange={(e) => setIncludeCaptured(e.target.checked)} />
+            Include capture dates
+          </label>
+          <div className="flex bg-slate-100 p-0.5 rounded-lg">
+            {['day', 'week'].map(g => (
+              <button
+                key={g}
+                onClick={() => setGranularity(g)}
+                className={`text-xs font-medium px-3 py-1 rounded-md transition-all ${granularity === g ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+              >
+                {g === 'day' ? 'Daily' : 'Weekly'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {buckets.length === 0 ? (
+        <p className="text-sm text-slate-400 text-center py-10 border-2 border-dashed border-slate-100 rounded-lg">
+          No dated reviews yet. Import a file with a date column, or add reviews to start a timeline.
+        </p>
+      ) : (
+        <>
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" onMouseLeave={() => setHovered(null)}>
+            {/* Flagged periods */}
+            {buckets.map((b, i) => b.flagged && (
+              <rect key={`flag-${b.key}`} x={PADDING.left + step * i} y={PADDING.top} width={step} height={plotHeight} fill="#fff1f2" />
+            ))}
+            {/* Stacked counts */}
+            {buckets.map((b, i) => {
+              let offset = 0;
+              return (
+                <g key={b.key} onMouseEnter={() => setHovered(i)}>
+                  <rect x={PADDING.left + step * i} y={PADDING.top} width={step} height={plotHeight} fill="transparent" />
+                  {STACK_ORDER.map(label => {
+                    const count = b.counts[label];
+                    if (!count) return null;
+                    const y = yCount(offset + count);
+                    offset += count;
+                    return <rect key={label} x={xCenter(i) - barWidth / 2} y={y} width={barWidth} height={yCount(offset - count) - y} fill={BAR_COLORS[label]} />;
+                  })}
+                </g>
+              );
+            })}
+            {/* Baseline and rolling negative share (right axis) */}
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yShare(baseline)} y2={yShare(baseline)} stroke="#e11d48" strokeDasharray="4 4" strokeWidth="1" />
+            <path d={rollingPath} fill="none" stroke="#be123c" strokeWidth="2" />
+            {buckets.map((b, i) => b.flagged && (
+              <circle key={`dot-${b.key}`} cx={xCenter(i)} cy={yShare(b.negativeShare)} r="4" fill="#e11d48" stroke="white" strokeWidth="1.5" />
+            ))}
+            {/* Axes */}
+            <text x={PADDING.left - 6} y={PADDING.top + 8} textAnchor="end" fontSize="10" fill="#94a3b8">{maxCount}</text>
+            <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" fontSize="10" fill="#94a3b8">0</text>
+            <text x={WIDTH - PADDING.right + 6} y={PADDING.top + 8} fontSize="10" fill="#be123c">100%</text>
+            <text x={WIDTH - PADDING.right + 6} y={yShare(baseline) + 3} fontSize="10" fill="#be123c">{pct(baseline)}</text>
+            {buckets.map((b, i) => i % labelEvery === 0 && (
+              <text key={`label-${b.key}`} x={xCenter(i)} y={HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#94a3b8">
+                {b.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              </text>
+            ))}
+          </svg>
+
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-500 mt-2 min-h-[1.5rem]">
+            {hovered !== null && buckets[hovered] ? (
+              <span>
+                <span className="font-semibold text-slate-700">{formatBucket(buckets[hovered].start, granularity)}</span>
+                {' '}· {buckets[hovered].total} reviews · {buckets[hovered].counts.Positive} positive, {buckets[hovered].counts.Neutral} neutral, {buckets[hovered].counts.Negative} negative
+                {buckets[hovered].total > 0 && ` · ${pct(buckets[hovered].negativeShare)} negative`}
+                {buckets[hovered].rollingShare !== null && ` (rolling ${pct(buckets[hovered].rollingShare)})`}
+              </span>
+            ) : (
+              <span className="flex items-center gap-3">
+                {STACK_ORDER.map(l => <span key={l} className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm" style={{ background: BAR_COLORS[l] }} />{l}</span>)}
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-rose-700" />Rolling negative share</span>
+                <span className="flex items-center gap-1"><span className="w-3 border-t border-dashed border-rose-600" />Baseline</span>
+              </span>
+            )}
+            {trend.undated > 0 && <span className="text-slate-400">{trend.undated} reviews without a date are not shown</span>}
+          </div>
+
+          {flagged.length > 0 && (
+            <div className="mt-3 p-3 bg-rose-50 border border-rose-100 rounded-lg text-sm text-rose-800 space-y-1">
+              <div className="font-semibold flex items-center gap-2"><AlertTriangle size={14} /> Negative spikes</div>
+              {flagged.map(b => (
+                <div key={b.key} className="text-xs">
+                  {formatBucket(b.start, granularity)}: {pct(b.negativeShare)} negative of {b.total} reviews vs {pct(baseline)} baseline (z = {b.z.toFixed(1)})
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrendPanel;
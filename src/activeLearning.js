@@ -0,0 +1,22 @@
+/**
+ * --- ACTIVE LEARNING ---
+ * Uncertainty sampling: the reviews whose top two class probabilities are
+ * closest are the ones a human label will teach the model the most.
+ */
+import { isTrusted } from './provenance';
+
+export const needsReview = (item) => !isTrusted(item);
+
+/**
+ * Ranks items without a trusted label by margin (top probability minus runner-up),
+ * smallest margin first. `predict` is the live classifier's predict().
+ * Returns [{ item, margin, prediction }].
+ */
+export const rankByUncertainty = (items, predict, { exclude = new Set() } = {}) => items
+  .filter(item => needsReview(item) && !exclude.has(item.id))
+  .map(item => {
+    const prediction = predict(item.text);
+    const [first, second] = Object.values(prediction.probabilities).sort((a, b) => b - a);
+    return { item, margin: first - second, prediction };
+  })
+  .sort((a, b) => a.margin - b.margin);
@@ -0,0 +1,99 @@
+/**
+ * --- ASPECT-BASED SENTIMENT ---
+ * Finds which product areas a review talks about and scores each one on the
+ * clause that mentions it, so "fast delivery but rude support" counts as
+ * positive for delivery and negative for support.
+ */
+import { stem } from './textPipeline';
+import { SENTIMENT_LABELS } from './importers';
+
+export const DEFAULT_ASPECTS = [
+  { id: 'delivery', name: 'Delivery', keywords: ['delivery', 'deliver', 'shipping', 'shipped', 'courier', 'arrived', 'package', 'parcel', 'late'] },
+  { id: 'support', name: 'Support', keywords: ['support', 'service', 'staff', 'agent', 'help', 'helpful', 'rude', 'response', 'refund'] },
+  { id: 'price', name: 'Price', keywords: ['price', 'cost', 'expensive', 'cheap', 'money', 'value', 'overpriced', 'affordable', 'subscription'] },
+  { id: 'quality', name: 'Quality', keywords: ['quality', 'broken', 'broke', 'durable', 'sturdy', 'defective', 'material', 'works', 'crash'] },
+  { id: 'ui', name: 'UI', keywords: ['ui', 'interface', 'design', 'layout', 'screen', 'menu', 'button', 'navigate', 'intuitive', 'confusing'] }
+];
+
+// Contrast words start a new opinion even without punctuation
+const CLAUSE_SPLIT = /[.!?;,\n]+|\s+(?:but|however|although|though|whereas|while|yet|except)\s+/i;
+const WORD = /[\p{L}\p{N}']+/gu;
+
+const normalizeWord = (word) => stem(word.toLowerCase().replace(/'/g, ''));
+
+/**
+ * Creates a user-defined aspect from a name and a comma-separated keyword list.
+ */
+export const createAspect = (name, keywordText) => ({
+  id: `custom-${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`,
+  name: name.trim(),
+  keywords: parseKeywords(keywordText),
+  custom: true
+});
+
+export const parseKeywords = (text) => [...new Set(text.split(',').map(k => k.trim().toLowerCase()).filter(Boolean))];
+
+// Multi-word keywords match as phrases; single words match on their stem
+const compileAspect = (aspect) => ({
+  ...aspect,
+  stems: new Set(aspect.keywords.filter(k => !k.includes(' ')).map(normalizeWord)),
+  phrases: aspect.keywords.filter(k => k.includes(' '))
+});
+
+const mentions = (compiled, clause, words) => words.some(w => compiled.stems.has(w))
+  || compiled.phrases.some(p => clause.toLowerCase().includes(p));
+
+/**
+ * Returns one entry per aspect the text mentions:
+ * [{ aspect, label, confidence, snippet }]. `predict` is the classifier's
+ * predict(); clause probabilities are averaged when an aspect comes up more
+ * than once.
+ */
+export const extractAspects = (text, aspects, predict) => extractCompiled(text, aspects.map(compileAspect), predict);
+
+const extractCompiled = (text, compiled, predict) => {
+  const clauses = text.split(CLAUSE_SPLIT).map(c => (c || '').trim()).filter(Boolean);
+  const clauseWords = clauses.map(c => (c.match(WORD) || []).map(normalizeWord));
+
+  return compiled.flatMap(aspect => {
+    const hits = clauses.filter((clause, i) => mentions(aspect, clause, clauseWords[i]));
+    if (!hits.length) return [];
+    const totals = Object.fromEntries(SENTIMENT_LABELS.map(l => [l, 0]));
+    hits.forEach(clause => {
+      const { probabilities = {} } = predict(clause);
+      SENTIMENT_LABELS.forEach(l => { totals[l] += (probabilities[l] || 0) / hits.length; });
+    });
+    const label = SENTIMENT_LABELS.reduce((best, l) => (totals[l] > totals[best] ? l : best), SENTIMENT_LABELS[0]);
+    return [{ aspect: aspect.id, label, confidence: totals[label], snippet: hits.join(' … ') }];
+  });
+};
+
+/**
+ * extractAspects memoized per review text for one set of aspects and one
+ * model, so a history change only classifies the clauses of new reviews.
+ * Create a new extractor when the aspects or the model change.
+ */
+export const createAspectExtractor = (aspects, predict) => {
+  const compiled = aspects.map(compileAspect);
+  const cache = new Map();
+  const extract = (text) => {
+    if (!cache.has(text)) cache.set(text, extractCompiled(text, compiled, predict));
+    return cache.get(text);
+  };
+  extract.aspects = aspects;
+  return extract;
+};
+
+/**
+ * Builds the aspect × sentiment matrix over history with an extractor from
+ * createAspectExtractor. matrix[aspectId][label] holds [{ item, snippet, confidence }].
+ */
+export const buildAspectMatrix = (items, extract) => {
+  const matrix = Object.fromEntries(extract.aspects.map(a => [a.id, Object.fromEntries(SENTIMENT_LABELS.map(l => [l, []]))]));
+  items.forEach(item => {
+    extract(item.text).forEach(({ aspect, label, snippet, confidence }) => {
+      matrix[aspect][label].push({ item, snippet, confidence });
+    });
+  });
+  return matrix;
+};
@@ -0,0 +1,72 @@
+/**
+ * --- AI LABEL AUDIT ---
+ * Uses the LLM as a second annotator: history items are classified by the
+ * configured provider (through the rate-limited task queue) and the AI label
+ * is stored next to the local one for comparison.
+ */
+import { SENTIMENT_LABELS } from './importers';
+
+/**
+ * Random sample of `size` items (all of them when size is falsy or too big).
+ */
+export const sampleItems = (items, size) => {
+  if (!size || size >= items.length) return items;
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, size);
+};
+
+/**
+ * The record stored on an item once the AI has labeled it.
+ */
+export const createAuditRecord = (item, verdict) => ({
+  label: verdict.sentiment,
+  confidence: verdict.confidence,
+  reasoning: verdict.reasoning,
+  localLabel: item.label,
+  auditedAt: new Date().toISOString()
+});
+
+// The label the AI was compared against; adopting the AI label later must not count as agreement
+const auditedLocalLabel = (item) => item.aiAudit.localLabel ?? item.label;
+
+export const isDisagreement = (item) => Boolean(item.aiAudit) && item.aiAudit.label !== auditedLocalLabel(item);
+
+/**
+ * Agreement statistics over audited items: raw agreement, Cohen's kappa
+ * (agreement corrected for chance) and a local-by-AI count matrix, all
+ * against the local label at audit time.
+ */
+export const summarizeAudit = (items) => {
+  const audited = items.filter(item => item.aiAudit);
+  const matrix = Object.fromEntries(
+    SENTIMENT_LABELS.map(local => [local, Object.fromEntries(SENTIMENT_LABELS.map(ai => [ai, 0]))])
+  );
+  audited.forEach(item => {
+    const local = auditedLocalLabel(item);
+    if (matrix[local] && matrix[local][item.aiAudit.label] !== undefined) matrix[local][item.aiAudit.label]++;
+  });
+
+  const total = audited.length;
+  const agreed = SENTIMENT_LABELS.reduce((sum, label) => sum + matrix[label][label], 0);
+  const observed = total ? agreed / total : 0;
+  const expected = total
+    ? SENTIMENT_LABELS.reduce((sum, label) => {
+      const localShare = SENTIMENT_LABELS.reduce((s, ai) => s + matrix[label][ai], 0) / total;
+      const aiShare = SENTIMENT_LABELS.reduce((s, local) => s + matrix[local][label], 0) / total;
+      return sum + localShare * aiShare;
+    }, 0)
+    : 0;
+
+  return {
+    total,
+    agreed,
+    disagreed: total - agreed,
+    agreement: observed,
+    kappa: expected < 1 ? (observed - expected) / (1 - expected) : 1,
+    matrix
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * --- CHAT MEMORY ---
+ * Turns the AI Analyst transcript into multi-turn LLM messages that fit a
+ * token budget, and exports it as Markdown.
+ */
+
+// Rough but provider-independent: ~4 characters per token for English text
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const CHAT_HISTORY_TOKENS = 2000;
+
+/**
+ * Maps transcript messages ({ role: 'user' | 'bot', text, isError? }) to
+ * LLM messages. Errors are UI-only and never sent back to the model.
+ */
+export const toConversation = (messages) => messages
+  .filter(m => !m.isError && m.text)
+  .map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text }));
+
+/**
+ * Keeps the most recent turns that fit in `budget` tokens. The latest
+ * message is always kept, and the result never starts with an assistant
+ * turn since providers expect the user to speak first.
+ */
+export const trimToBudget = (conversation, budget = CHAT_HISTORY_TOKENS) => {
+  const kept = [];
+  let used = 0;
+  for (let i = conversation.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(conversation[i].content);
+    if (kept.length && used + cost > budget) break;
+    kept.unshift(conversation[i]);
+    used += cost;
+  }
+  while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+  return kept;
+};
+
+export const transcriptToMarkdown = (messages, { workspace, provider } = {}) => {
+  const lines = [
+    '# AI Analyst transcript',
+    '',
+    `- Workspace: ${workspace || 'Default'}`,
+    `- Provider: ${provider || 'unknown'}`,
+    `- Exported: ${new Date().toISOString()}`,
+    ''
+  ];
+  messages.forEach(m => {
+    const speaker = m.role === 'user' ? 'You' : 'AI Analyst';
+    const when = m.at ? ` _(${new Date(m.at).toLocaleString()})_` : '';
+    lines.push(`### ${speaker}${when}`, '');
+    lines.push(m.isError ? `> Error: ${m.text}` : m.text || '');
+    if (m.stopped) lines.push('', '_Response stopped early._');
+    lines.push('');
+  });
+  return lines.join('\n');
+};
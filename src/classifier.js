@@ -0,0 +1,226 @@
+/**
+ * --- MACHINE LEARNING ENGINE: NAIVE BAYES CLASSIFIER ---
+ * Client-side training and prediction.
+ */
+import { analyze, tokenize, DEFAULT_PIPELINE, LEGACY_PIPELINE } from './textPipeline';
+
+export const MODEL_FORMAT = 'sentimind-naive-bayes';
+// v2: configurable text pipeline. v1 models are still readable (legacy tokenizer).
+export const MODEL_SCHEMA_VERSION = 2;
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+const CATEGORIES = ['Positive', 'Negative', 'Neutral'];
+
+// Prototype-free maps, so tokens like "constructor" don't hit Object.prototype
+const countMap = (entries = {}) => Object.assign(Object.create(null), entries);
+const emptyWordCounts = () => Object.fromEntries(CATEGORIES.map(c => [c, countMap()]));
+const sumCounts = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+/**
+ * Changes between two training sets as { added, removed } document lists.
+ * A document whose text or label changed is removed and re-added. Returns
+ * null when ids are not unique, in which case only a full retrain is safe.
+ */
+export const diffDocuments = (previous, documents) => {
+  const next = new Map(documents.map(doc => [doc.id, doc]));
+  if (next.size !== documents.length) return null;
+  const added = [];
+  const removed = [];
+  next.forEach((doc, id) => {
+    const old = previous.get(id);
+    if (old && old.text === doc.text && old.label === doc.label) return;
+    if (old) removed.push(old);
+    added.push(doc);
+  });
+  previous.forEach((doc, id) => {
+    if (!next.has(id)) removed.push(doc);
+  });
+  return { added, removed };
+};
+
+export class NaiveBayesClassifier {
+  constructor(tokenizerOptions = DEFAULT_PIPELINE) {
+    this.reset();
+    this.tokenizerOptions = { ...DEFAULT_PIPELINE, ...tokenizerOptions };
+  }
+
+  reset() {
+    this.wordCounts = emptyWordCounts();
+    this.classCounts = { Positive: 0, Negative: 0, Neutral: 0 };
+    this.classTotals = { Positive: 0, Negative: 0, Neutral: 0 }; // token count per class, cached for predict()
+    this.vocab = new Set();
+    this.totalDocs = 0;
+    this.createdAt = new Date().toISOString();
+  }
+
+  tokenize(text) {
+    return tokenize(text, this.tokenizerOptions);
+  }
+
+  train(documents) {
+    this.reset();
+    documents.forEach(doc => this.addDocument(doc));
+  }
+
+  addDocument(doc) {
+    const category = doc.label;
+    if (!this.wordCounts[category]) return;
+    this.totalDocs++;
+    this.classCounts[category]++;
+    this.tokenize(doc.text).forEach(token => {
+      this.vocab.add(token);
+      this.wordCounts[category][token] = (this.wordCounts[category][token] || 0) + 1;
+      this.classTotals[category]++;
+    });
+  }
+
+  // Exact inverse of addDocument for a document trained with the same pipeline
+  removeDocument(doc) {
+    const category = doc.label;
+    if (!this.wordCounts[category] || !this.classCounts[category]) return;
+    this.totalDocs--;
+    this.classCounts[category]--;
+    this.tokenize(doc.text).forEach(token => {
+      const count = this.wordCounts[category][token];
+      if (!count) return;
+      if (count === 1) delete this.wordCounts[category][token];
+      else this.wordCounts[category][token] = count - 1;
+      this.classTotals[category]--;
+      if (CATEGORIES.every(c => !this.wordCounts[c][token])) this.vocab.delete(token);
+    });
+  }
+
+  /**
+   * Incremental update from diffDocuments(): relabeling a document is a
+   * removal plus an addition, so no full retrain is needed.
+   */
+  applyChanges({ added = [], removed = [] }) {
+    removed.forEach(doc => this.removeDocument(doc));
+    added.forEach(doc => this.addDocument(doc));
+    this.createdAt = new Date().toISOString();
+  }
+
+  predict(text) {
+    const tokens = this.tokenize(text);
+    const categories = ['Positive', 'Negative', 'Neutral'];
+    let bestCategory = 'Neutral';
+    let maxProb = -Infinity;
+    let scores = {};
+
+    categories.forEach(category => {
+      let logProb = Math.log((this.classCounts[category] || 0.1) / (this.totalDocs || 1));
+      const denominator = (this.classTotals[category] + this.vocab.size) || 1;
+      tokens.forEach(token => {
+        const tokenCount = this.wordCounts[category][token] || 0;
+        logProb += Math.log((tokenCount + 1) / denominator);
+      });
+      scores[category] = logProb;
+      if (logProb > maxProb) {
+        maxProb = logProb;
+        bestCategory = category;
+      }
+    });
+
+    // Softmax over the log scores (shifted by the max for numerical stability)
+    const exps = {};
+    categories.forEach(category => { exps[category] = Math.exp(scores[category] - maxProb); });
+    const sum = categories.reduce((acc, c) => acc + exps[c], 0);
+    const probabilities = {};
+    categories.forEach(category => { probabilities[category] = exps[category] / sum; });
+
+    return { label: bestCategory, scores, probabilities, confidence: probabilities[bestCategory] };
+  }
+
+  /**
+   * Per-token log-likelihood contributions, used to explain a prediction.
+   * segments: the original text split at token boundaries, each known unigram
+   *   annotated with its Positive-vs-Negative log-likelihood ratio (weight).
+   * contributions: unique tokens sorted by |weight|, with per-class log-likelihoods.
+   */
+  explain(text) {
+    const categories = ['Positive', 'Negative', 'Neutral'];
+    const denominators = {};
+    categories.forEach(category => {
+      denominators[category] = (this.classTotals[category] + this.vocab.size) || 1;
+    });
+    const logLikelihood = (token) => Object.fromEntries(categories.map(category => [
+      category,
+      Math.log(((this.wordCounts[category][token] || 0) + 1) / denominators[category])
+    ]));
+
+    const analyzed = analyze(text, this.tokenizerOptions);
+    const segments = [];
+    let cursor = 0;
+    analyzed.filter(t => !t.bigram).forEach(({ token, start, end }) => {
+      if (start > cursor) segments.push({ text: text.slice(cursor, start) });
+      if (this.vocab.has(token)) {
+        const ll = logLikelihood(token);
+        segments.push({ text: text.slice(start, end), token, weight: ll.Positive - ll.Negative });
+      } else {
+        segments.push({ text: text.slice(start, end) });
+      }
+      cursor = end;
+    });
+    if (cursor < (text || '').length) segments.push({ text: text.slice(cursor) });
+
+    const byToken = {};
+    analyzed.forEach(({ token }) => {
+      if (!byToken[token]) byToken[token] = { token, count: 0, known: this.vocab.has(token), logLikelihood: logLikelihood(token) };
+      byToken[token].count++;
+    });
+    const contributions = Object.values(byToken)
+      .map(c => ({ ...c, weight: (c.logLikelihood.Positive - c.logLikelihood.Negative) * c.count }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+
+    return { segments, contributions };
+  }
+
+  /**
+   * Versioned model file. Contains only aggregated token counts, never the
+   * raw review texts, so it can be shared outside the workspace.
+   */
+  toJSON() {
+    return {
+      format: MODEL_FORMAT,
+      schemaVersion: MODEL_SCHEMA_VERSION,
+      metadata: {
+        createdAt: this.createdAt,
+        trainingSetSize: this.totalDocs,
+        vocabularySize: this.vocab.size,
+        tokenizer: this.tokenizerOptions
+      },
+      wordCounts: this.wordCounts,
+      classCounts: this.classCounts,
+      vocab: [...this.vocab],
+      totalDocs: this.totalDocs
+    };
+  }
+
+  /**
+   * Loads a model produced by toJSON() into this instance.
+   * Throws with a user-facing message if the file is not a compatible model.
+   */
+  fromJSON(json) {
+    if (!json || json.format !== MODEL_FORMAT) {
+      throw new Error('This file is not a Sentimind model.');
+    }
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(json.schemaVersion)) {
+      throw new Error(`Incompatible model schema version ${json.schemaVersion}. This app reads versions ${SUPPORTED_SCHEMA_VERSIONS.join(' and ')}; re-export the model from a matching version.`);
+    }
+    const categories = ['Positive', 'Negative', 'Neutral'];
+    const isValid = categories.every(c => json.wordCounts?.[c] && typeof json.classCounts?.[c] === 'number')
+      && Array.isArray(json.vocab)
+      && typeof json.totalDocs === 'number';
+    if (!isValid) throw new Error('Model file is corrupted: missing counts or vocabulary.');
+
+    this.wordCounts = Object.fromEntries(categories.map(c => [c, countMap(json.wordCounts[c])]));
+    this.classCounts = json.classCounts;
+    this.classTotals = Object.fromEntries(categories.map(c => [c, sumCounts(this.wordCounts[c])]));
+    this.vocab = new Set(json.vocab);
+    this.totalDocs = json.totalDocs;
+    this.tokenizerOptions = json.schemaVersion === 1
+      ? { ...LEGACY_PIPELINE, minTokenLength: json.metadata?.tokenizer?.minTokenLength ?? LEGACY_PIPELINE.minTokenLength }
+      : { ...DEFAULT_PIPELINE, ...json.metadata?.tokenizer };
+    this.createdAt = json.metadata?.createdAt || new Date().toISOString();
+    return this;
+  }
+}
@@ -0,0 +1,6 @@
+/* eslint-disable no-restricted-globals */
+import { createClassifierHost } from './classifierHost';
+
+const handle = createClassifierHost(message => self.postMessage(message));
+
+self.onmessage = (event) => handle(event.data);
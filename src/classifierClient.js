@@ -0,0 +1,114 @@
+/**
+ * --- CLASSIFIER WORKER CLIENT ---
+ * Promise API over the classifier worker: training, incremental updates and
+ * chunked batch prediction run off the main thread. Falls back to running
+ * the same host in-thread when Web Workers are unavailable.
+ */
+import { createClassifierHost } from './classifierHost';
+
+const abortError = () => {
+  const err = new Error('Cancelled');
+  err.name = 'AbortError';
+  return err;
+};
+
+// Requests that change the model; they are replayed if the worker dies before answering
+const MODEL_STATE_TYPES = ['train', 'update', 'load'];
+
+const startInThread = (onMessage) => {
+  const handle = createClassifierHost(message => setTimeout(() => onMessage(message), 0));
+  return (message) => setTimeout(() => handle(message), 0);
+};
+
+// `onError` fires if the worker fails to load or crashes; the caller switches to in-thread
+const startWorker = (onMessage, onError) => {
+  try {
+    const worker = new Worker(new URL('./classifier.worker.js', import.meta.url));
+    worker.onmessage = (event) => onMessage(event.data);
+    const fail = (err) => {
+      worker.terminate();
+      onError(err);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      fail(new Error(event.message || 'Classifier worker failed'));
+    };
+    worker.onmessageerror = () => fail(new Error('Classifier worker sent an unreadable message'));
+    return (message) => worker.postMessage(message);
+  } catch (err) {
+    console.warn('Classifier worker unavailable, running on the main thread', err);
+    return startInThread(onMessage);
+  }
+};
+
+export const createClassifierClient = () => {
+  const pending = new Map();
+  let nextId = 1;
+  let lastModel = null; // restored into the in-thread host if the worker dies
+  let failed = false;
+
+  const onMessage = (message) => {
+    const job = pending.get(message.id);
+    if (!job) return;
+    if (message.type === 'progress') {
+      job.onProgress?.(message);
+      return;
+    }
+    pending.delete(message.id);
+    if (message.model) lastModel = message.model;
+    if (message.type === 'error') job.reject(new Error(message.message));
+    else if (message.type === 'cancelled') job.reject(abortError());
+    else job.resolve(message);
+  };
+
+  // Nothing in flight will be answered any more. The in-thread host is
+  // restored to the last model the worker reported, then the unanswered
+  // model-state requests are replayed in order so it ends up where the worker
+  // would have; unanswered predictions fail and can be retried.
+  const onWorkerError = (err) => {
+    if (failed) return;
+    failed = true;
+    console.warn('Classifier worker failed, running on the main thread', err);
+    send = startInThread(onMessage);
+    if (lastModel) send({ type: 'load', model: lastModel, id: nextId++ });
+    pending.forEach((job, id) => {
+      if (MODEL_STATE_TYPES.includes(job.message.type)) {
+        send({ ...job.message, id });
+        return;
+      }
+      pending.delete(id);
+      job.reject(err);
+    });
+  };
+
+  let send = startWorker(onMessage, onWorkerError);
+
+  const request = (message, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, { message, resolve, reject, onProgress });
+    // Reject right away; the worker's own "cancelled" reply is then ignored
+    signal?.addEventListener('abort', () => {
+      if (!pending.delete(id)) return;
+      send({ type: 'cancel', target: id });
+      reject(abortError());
+    }, { once: true });
+    send({ ...message, id });
+  });
+
+  return {
+    // Each resolves to the worker's model JSON, for mirroring on the main thread
+    train: (documents, tokenizerOptions) => request({ type: 'train', documents, tokenizerOptions }).then(reply => reply.model),
+    update: (changes) => request({ type: 'update', changes }).then(reply => reply.model),
+    load: (model) => request({ type: 'load', model }).then(reply => reply.model),
+
+    /**
+     * Predictions for `texts` in order. `onProgress({ done, total })` fires
+     * per chunk; aborting `signal` rejects with an AbortError.
+     */
+    predict: (texts, { onProgress, signal } = {}) => request({ type: 'predict', texts }, { onProgress, signal }).then(reply => reply.predictions)
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * --- CLASSIFIER HOST ---
+ * The message protocol behind the classifier worker. Kept separate from the
+ * worker entry point so the same host can run on the main thread where
+ * workers are unavailable.
+ *
+ * Requests carry an `id`; replies are { id, type: 'model' | 'progress' |
+ * 'result' | 'cancelled' | 'error', ... }.
+ */
+import { NaiveBayesClassifier } from './classifier';
+
+export const PREDICT_CHUNK_SIZE = 500;
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const prediction = ({ label, probabilities, confidence }) => ({ label, probabilities, confidence });
+
+export const createClassifierHost = (post) => {
+  const classifier = new NaiveBayesClassifier();
+  const cancelled = new Set();
+
+  // Yields between chunks so cancel messages and other requests get through
+  const predictChunked = async ({ id, texts, chunkSize = PREDICT_CHUNK_SIZE }) => {
+    const predictions = [];
+    for (let start = 0; start < texts.length; start += chunkSize) {
+      if (cancelled.delete(id)) {
+        post({ id, type: 'cancelled' });
+        return;
+      }
+      texts.slice(start, start + chunkSize).forEach(text => predictions.push(prediction(classifier.predict(text))));
+      post({ id, type: 'progress', done: predictions.length, total: texts.length });
+      await nextTick();
+    }
+    cancelled.delete(id);
+    post({ id, type: 'result', predictions });
+  };
+
+  return (message) => {
+    const { id, type } = message;
+    try {
+      if (type === 'train') {
+        classifier.tokenizerOptions = message.tokenizerOptions;
+        classifier.train(message.documents);
+        post({ id, type: 'model', model: classifier.toJSON() });
+      } else if (type === 'update') {
+        classifier.applyChanges(message.changes);
+        post({ id, type: 'model', model: classifier.toJSON() });
+      } else if (type === 'load') {
+        classifier.fromJSON(message.model);
+        post({ id, type: 'model', model: classifier.toJSON() });
+      } else if (type === 'predict') {
+        predictChunked(message);
+      } else if (type === 'cancel') {
+        cancelled.add(message.target);
+      }
+    } catch (err) {
+      post({ id, type: 'error', message: err.message });
+    }
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * --- CSV PARSER ---
+ * RFC 4180 parser: quoted fields may contain delimiters, escaped quotes ("")
+ * and line breaks. Accepts CRLF or LF record separators.
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guesses the delimiter from the first few lines by picking the candidate
+ * that appears most often outside quotes.
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 4096);
+  let best = ',';
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    let count = 0;
+    let inQuotes = false;
+    for (const ch of sample) {
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (ch === delimiter && !inQuotes) count++;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Incremental parser for text that arrives in chunks. `push(chunk)` may be
+ * called with any split of the input, even mid-field or between \r and \n;
+ * `end()` flushes the last row. `onRow(row, line)` receives each non-blank
+ * row with the physical line it starts on. After end(), `unterminated` is
+ * true if the input finished inside a quoted field.
+ */
+export const createCSVParser = ({ delimiter = ',', onRow }) => {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // a quote inside quotes at the end of a chunk: escape or closing?
+  let crPending = false;    // a \r at the end of a chunk that may be followed by \n
+  let line = 1;
+  let rowStart = 1;
+  let started = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') onRow(row, rowStart);
+    row = [];
+    rowStart = line;
+  };
+
+  const parser = {
+    unterminated: false,
+    push(text) {
+      let i = 0;
+      if (!started) {
+        started = true;
+        if (text.charCodeAt(0) === 0xfeff) i = 1;
+      }
+      if (crPending && text.length) {
+        crPending = false;
+        if (text[0] === '\n') i = Math.max(i, 1);
+      }
+      if (quotePending && text.length) {
+        quotePending = false;
+        if (text[i] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      }
+
+      for (; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+          if (ch === '"') {
+            if (i + 1 === text.length) {
+              quotePending = true;
+            } else if (text[i + 1] === '"') {
+              field += '"';
+              i++;
+            } else {
+              inQuotes = false;
+            }
+          } else {
+            if (ch === '\n') line++;
+            field += ch;
+          }
+        } else if (ch === '"' && field === '') {
+          inQuotes = true;
+        } else if (ch === delimiter) {
+          endField();
+        } else if (ch === '\n' || ch === '\r') {
+          if (ch === '\r') {
+            if (i + 1 === text.length) crPending = true;
+            else if (text[i + 1] === '\n') i++;
+          }
+          line++;
+          endRow();
+        } else {
+          field += ch;
+        }
+      }
+    },
+    end() {
+      if (quotePending) inQuotes = false;
+      parser.unterminated = inQuotes;
+      if (field !== '' || row.length > 0) endRow();
+    }
+  };
+  return parser;
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Blank lines are dropped; a leading UTF-8 BOM is ignored.
+ */
+export const parseCSV = (text, { delimiter = detectDelimiter(text) } = {}) => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: row => rows.push(row) });
+  parser.push(text);
+  parser.end();
+  return rows;
+};
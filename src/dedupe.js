@@ -0,0 +1,228 @@
+/**
+ * --- DUPLICATE DETECTION ---
+ * Exact duplicates share a hash of their normalized text; near duplicates
+ * are found with word-shingle MinHash signatures bucketed by LSH bands and
+ * confirmed with the exact Jaccard similarity of the shingle sets.
+ */
+import { isTrusted } from './provenance';
+
+export const DEDUPE_DEFAULTS = {
+  threshold: 0.7,   // minimum shingle Jaccard similarity for a near duplicate
+  shingleSize: 3,   // words per shingle
+  bands: 16,        // LSH bands x rows = signature length
+  rows: 4
+};
+
+export const DUPLICATE_ACTIONS = {
+  skip: 'Skip',
+  merge: 'Merge',
+  keep: 'Keep both'
+};
+
+// Case, punctuation and spacing differences don't make a review new
+export const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// 32-bit FNV-1a
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer, used to derive the independent MinHash functions from one base hash
+const mix = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+/**
+ * Set of word shingles; texts shorter than one shingle become a single one.
+ */
+export const shingles = (normalized, size = DEDUPE_DEFAULTS.shingleSize) => {
+  const words = normalized.split(' ').filter(Boolean);
+  if (words.length <= size) return new Set([words.join(' ')]);
+  const set = new Set();
+  for (let i = 0; i <= words.length - size; i++) set.add(words.slice(i, i + size).join(' '));
+  return set;
+};
+
+const SEEDS = Array.from({ length: 256 }, (_, i) => mix(i + 1));
+
+export const minhash = (shingleSet, length) => {
+  const signature = new Array(length).fill(0xffffffff);
+  shingleSet.forEach(shingle => {
+    const base = hashString(shingle);
+    for (let i = 0; i < length; i++) {
+      const h = mix(base ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  });
+  return signature;
+};
+
+const pushTo = (map, key, value) => {
+  if (map.has(key)) map.get(key).push(value);
+  else map.set(key, [value]);
+};
+
+export const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach(s => { if (b.has(s)) shared++; });
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 1;
+};
+
+/**
+ * Incremental duplicate index. `match(item)` returns the best indexed
+ * duplicate as { match, kind: 'exact' | 'near', similarity } or null;
+ * `add(item)` makes an item matchable.
+ */
+export const createDedupeIndex = (options = {}) => {
+  const { threshold, shingleSize, bands, rows } = { ...DEDUPE_DEFAULTS, ...options };
+  const exact = new Map();
+  const buckets = Array.from({ length: bands }, () => new Map());
+  const fingerprints = new Map();
+
+  const fingerprint = (item) => {
+    const normalized = normalizeText(item.text);
+    const set = shingles(normalized, shingleSize);
+    const signature = minhash(set, bands * rows);
+    const keys = Array.from({ length: bands }, (_, b) => signature.slice(b * rows, (b + 1) * rows).join('.'));
+    return { hash: hashString(normalized), normalized, set, keys };
+  };
+
+  const match = (item) => {
+    const print = fingerprint(item);
+    fingerprints.set(item, print);
+    const same = (exact.get(print.hash) || []).find(other => fingerprints.get(other).normalized === print.normalized);
+    if (same) return { match: same, kind: 'exact', similarity: 1 };
+
+    let best = null;
+    const seen = new Set();
+    print.keys.forEach((key, b) => {
+      (buckets[b].get(key) || []).forEach(other => {
+        if (seen.has(other)) return;
+        seen.add(other);
+        const similarity = jaccard(print.set, fingerprints.get(other).set);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) best = { match: other, kind: 'near', similarity };
+      });
+    });
+    return best;
+  };
+
+  const add = (item) => {
+    const print = fingerprints.get(item) || fingerprint(item);
+    fingerprints.set(item, print);
+    pushTo(exact, print.hash, item);
+    print.keys.forEach((key, b) => pushTo(buckets[b], key, item));
+  };
+
+  return { match, add };
+};
+
+/**
+ * Duplicates among incoming items, checked against `existing` and against
+ * earlier incoming items. Each pair points at an item that is itself not a
+ * duplicate: { item, match, kind, similarity, incoming }.
+ */
+export const findImportDuplicates = (incoming, existing, options) => {
+  const index = createDedupeIndex(options);
+  existing.forEach(index.add);
+  const incomingSet = new Set(incoming);
+  const pairs = [];
+  incoming.forEach(item => {
+    const found = index.match(item);
+    if (found) pairs.push({ item, ...found, incoming: incomingSet.has(found.match) });
+    else index.add(item);
+  });
+  return pairs;
+};
+
+// The copy to keep: trusted labels first, then the oldest
+const keepRank = (item) => (isTrusted(item) ? 0 : 1);
+
+/**
+ * Duplicate pairs within one list, e.g. the existing history. Items are
+ * visited keep-first so every pair points at the copy worth keeping.
+ */
+export const findHistoryDuplicates = (items, options) => {
+  const ordered = items
+    .map((item, position) => ({ item, position }))
+    .sort((a, b) => keepRank(a.item) - keepRank(b.item) || b.position - a.position)
+    .map(({ item }) => item);
+  const index = createDedupeIndex(options);
+  const pairs = [];
+  ordered.forEach(item => {
+    const found = index.match(item);
+    if (found) pairs.push({ item, ...found });
+    else index.add(item);
+  });
+  return pairs;
+};
+
+/**
+ * Folds a duplicate into the item it matched: metadata and tags are
+ * combined, and a trusted label on the duplicate replaces a machine one.
+ */
+export const mergeDuplicate = (target, duplicate) => {
+  const merged = {
+    ...target,
+    metadata: { ...(duplicate.metadata || {}), ...(target.metadata || {}) },
+    tags: [...new Set([...(target.tags || []), ...(duplicate.tags || [])])]
+  };
+  if (!Object.keys(merged.metadata).length) delete merged.metadata;
+  if (!merged.tags.length) delete merged.tags;
+  if (!isTrusted(target) && isTrusted(duplicate)) {
+    merged.label = duplicate.label;
+    merged.labelSource = duplicate.labelSource;
+    merged.labelHistory = duplicate.labelHistory;
+    merged.confidence = undefined;
+  }
+  return merged;
+};
+
+/**
+ * Applies the chosen action ({ [item.id]: 'skip' | 'merge' | 'keep' }, skip
+ * by default) to each pair and returns the resulting list with counts.
+ * Pairs are matched to `items` by id, so they can be applied to a newer
+ * version of the list than the one they were found in: edited items are
+ * merged as they are now, and a duplicate whose match has since been
+ * deleted is kept.
+ */
+export const resolveDuplicates = (items, pairs, actions = {}) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const dropped = new Set();
+  const merges = new Map();
+  const counts = { skipped: 0, merged: 0, kept: 0 };
+  pairs.forEach(({ item, match }) => {
+    const action = actions[item.id] || 'skip';
+    if (action === 'keep' || !byId.has(match.id)) {
+      counts.kept++;
+      return;
+    }
+    dropped.add(item.id);
+    if (action === 'merge') {
+      merges.set(match.id, [...(merges.get(match.id) || []), byId.get(item.id) || item]);
+      counts.merged++;
+    } else {
+      counts.skipped++;
+    }
+  });
+  const result = items
+    .filter(item => !dropped.has(item.id))
+    .map(item => (merges.has(item.id) ? merges.get(item.id).reduce(mergeDuplicate, item) : item));
+  return { items: result, ...counts };
+};
@@ -0,0 +1,94 @@
+/**
+ * --- MODEL EVALUATION ---
+ * Held-out and k-fold evaluation of the Naive Bayes classifier over labeled
+ * history. Each run trains fresh classifiers so the live model is untouched.
+ */
+import { NaiveBayesClassifier } from './classifier';
+import { SENTIMENT_LABELS } from './importers';
+
+// Deterministic PRNG so a given seed always yields the same split
+const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (items, seed) => {
+  const random = mulberry32(seed);
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const emptyConfusion = () => Object.fromEntries(
+  SENTIMENT_LABELS.map(actual => [actual, Object.fromEntries(SENTIMENT_LABELS.map(p => [p, []]))])
+);
+
+const predictFold = (train, test, tokenizerOptions) => {
+  const model = new NaiveBayesClassifier(tokenizerOptions);
+  model.train(train);
+  return test.map(doc => ({ item: doc, predicted: model.predict(doc.text).label }));
+};
+
+/**
+ * Computes accuracy, per-class precision/recall/F1 and a confusion matrix
+ * from { item, predicted } pairs. confusion[actual][predicted] holds items.
+ */
+export const scorePredictions = (predictions) => {
+  const confusion = emptyConfusion();
+  predictions.forEach(({ item, predicted }) => confusion[item.label][predicted].push(item));
+
+  const correct = SENTIMENT_LABELS.reduce((sum, l) => sum + confusion[l][l].length, 0);
+  const perClass = {};
+  SENTIMENT_LABELS.forEach(label => {
+    const tp = confusion[label][label].length;
+    const support = SENTIMENT_LABELS.reduce((sum, p) => sum + confusion[label][p].length, 0);
+    const predictedCount = SENTIMENT_LABELS.reduce((sum, a) => sum + confusion[a][label].length, 0);
+    const precision = predictedCount ? tp / predictedCount : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    perClass[label] = { precision, recall, f1, support };
+  });
+
+  const present = SENTIMENT_LABELS.filter(l => perClass[l].support > 0);
+  return {
+    total: predictions.length,
+    accuracy: predictions.length ? correct / predictions.length : 0,
+    macroF1: present.length ? present.reduce((sum, l) => sum + perClass[l].f1, 0) / present.length : 0,
+    perClass,
+    confusion
+  };
+};
+
+/**
+ * Runs an evaluation over labeled documents.
+ * options.mode: 'holdout' (uses testRatio) or 'kfold' (uses folds).
+ * options.tokenizerOptions should match the live model's text pipeline.
+ * Throws if there is too little data for the requested scheme.
+ */
+export const evaluateClassifier = (documents, { mode = 'holdout', testRatio = 0.2, folds = 5, seed = 42, tokenizerOptions } = {}) => {
+  const labeled = documents.filter(d => SENTIMENT_LABELS.includes(d.label) && d.text);
+  const shuffled = shuffle(labeled, seed);
+
+  if (mode === 'kfold') {
+    if (shuffled.length < folds) throw new Error(`Need at least ${folds} labeled reviews for ${folds}-fold cross-validation.`);
+    const predictions = [];
+    for (let k = 0; k < folds; k++) {
+      const test = shuffled.filter((_, i) => i % folds === k);
+      const train = shuffled.filter((_, i) => i % folds !== k);
+      predictions.push(...predictFold(train, test, tokenizerOptions));
+    }
+    return { mode, folds, trainSize: shuffled.length - Math.ceil(shuffled.length / folds), ...scorePredictions(predictions) };
+  }
+
+  const testSize = Math.max(1, Math.round(shuffled.length * testRatio));
+  if (shuffled.length - testSize < 1) throw new Error('Need at least 2 labeled reviews for a train/test split.');
+  const test = shuffled.slice(0, testSize);
+  const train = shuffled.slice(testSize);
+  return { mode, testRatio, trainSize: train.length, ...scorePredictions(predictFold(train, test, tokenizerOptions)) };
+};
@@ -0,0 +1,98 @@
+/**
+ * --- RESULTS EXPORT ---
+ * Flattens history items (labels, probabilities, provenance, metadata,
+ * tags and drafted replies) into rows and serializes them as CSV, JSON,
+ * JSON Lines or an XLSX workbook.
+ */
+import { SENTIMENT_LABELS } from './importers';
+import { LABEL_SOURCES, getLabelSource, isTrusted } from './provenance';
+import { getReviewDate } from './trends';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  jsonl: { label: 'JSON Lines', extension: 'jsonl', type: 'application/x-ndjson' },
+  xlsx: { label: 'Excel', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const round = (value) => (value === undefined || value === null ? '' : Math.round(value * 10000) / 10000);
+
+/**
+ * One flat row per item. Metadata keys become `meta_<key>` columns, using
+ * the union of keys across all items so every row has the same columns.
+ */
+export const toExportRows = (items, { replies = {} } = {}) => {
+  const metadataKeys = [...new Set(items.flatMap(item => Object.keys(item.metadata || {})))];
+  return items.map(item => {
+    const date = getReviewDate(item);
+    const row = {
+      id: item.id,
+      text: item.text,
+      label: item.label,
+      confidence: round(item.confidence),
+      ...Object.fromEntries(SENTIMENT_LABELS.map(l => [`p_${l.toLowerCase()}`, round(item.probabilities?.[l])])),
+      label_source: LABEL_SOURCES[getLabelSource(item)],
+      verified: isTrusted(item),
+      date: date ? date.toISOString() : '',
+      date_source: item.dateSource || '',
+      tags: (item.tags || []).join(', '),
+      ai_label: item.aiAudit?.label || '',
+      reply: replies[item.id] || ''
+    };
+    metadataKeys.forEach(key => { row[`meta_${key}`] = item.metadata?.[key] ?? ''; });
+    return row;
+  });
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV with a BOM so Excel reads it as UTF-8.
+ */
+export const rowsToCSV = (rows) => {
+  if (!rows.length) return '\ufeff';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.map(csvField).join(','), ...rows.map(row => columns.map(c => csvField(row[c])).join(','))];
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * JSON keeps the full item, including label history and the drafted reply.
+ */
+export const toExportRecords = (items, { replies = {} } = {}) => items.map(item => (
+  replies[item.id] ? { ...item, reply: replies[item.id] } : item
+));
+
+export const recordsToJSON = (records) => JSON.stringify(records, null, 2);
+
+export const recordsToJSONL = (records) => records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+
+/**
+ * XLSX file contents, written with the SheetJS instance passed in.
+ */
+export const rowsToXLSX = (XLSX, rows, sheetName = 'Reviews') => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), sheetName);
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+};
+
+/**
+ * File contents for `format`, or throws when XLSX is requested without SheetJS.
+ */
+export const buildExport = (format, items, { replies, XLSX } = {}) => {
+  if (format === 'csv') return rowsToCSV(toExportRows(items, { replies }));
+  if (format === 'json') return recordsToJSON(toExportRecords(items, { replies }));
+  if (format === 'jsonl') return recordsToJSONL(toExportRecords(items, { replies }));
+  if (format === 'xlsx') {
+    if (!XLSX) throw new Error('Excel library is not loaded.');
+    return rowsToXLSX(XLSX, toExportRows(items, { replies }));
+  }
+  throw new Error(`Unknown export format: ${format}`);
+};
@@ -0,0 +1,75 @@
+/**
+ * --- HTML IMPORT ---
+ * Extracts review blocks from saved review pages with CSS selectors: one
+ * selector picks the repeated review element, optional ones pick the text,
+ * date, rating and author inside it. Candidate block selectors are
+ * suggested from the page's repeated, text-heavy elements.
+ */
+
+export const HTML_FIELDS = ['text', 'date', 'rating', 'author'];
+
+const MIN_BLOCK_TEXT = 20;
+const REVIEW_HINT = /review|comment|testimonial|feedback|post/i;
+
+export const parseHTML = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+  return doc;
+};
+
+const textOf = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+
+// Ratings are often only in attributes (aria-label="4 out of 5", content="4")
+const ratingOf = (el) => {
+  if (!el) return '';
+  return textOf(el) || el.getAttribute('content') || el.getAttribute('aria-label') || el.getAttribute('title') || '';
+};
+
+const dateOf = (el) => (el ? el.getAttribute('datetime') || el.getAttribute('content') || textOf(el) : '');
+
+const selectorFor = (el) => {
+  const tag = el.tagName.toLowerCase();
+  const itemprop = el.getAttribute('itemprop');
+  if (itemprop) return `${tag}[itemprop="${itemprop}"]`;
+  const classes = Array.from(el.classList).filter(c => /^[a-z_-][\w-]*$/i.test(c));
+  return classes.length ? `${tag}.${classes.join('.')}` : null;
+};
+
+/**
+ * Candidate block selectors, best first: [{ selector, count, sample }].
+ * Candidates are class or itemprop selectors matching at least two
+ * elements with some text, ranked by review-like names and then by count.
+ */
+export const suggestSelectors = (doc, limit = 6) => {
+  const candidates = new Map();
+  doc.body?.querySelectorAll('*').forEach(el => {
+    const selector = selectorFor(el);
+    if (!selector) return;
+    const text = textOf(el);
+    if (text.length < MIN_BLOCK_TEXT) return;
+    const entry = candidates.get(selector) || { selector, count: 0, sample: text };
+    entry.count++;
+    candidates.set(selector, entry);
+  });
+  const score = (c) => (REVIEW_HINT.test(c.selector) ? 1000000 : 0) + c.count;
+  return [...candidates.values()]
+    .filter(c => c.count >= 2)
+    .sort((a, b) => score(b) - score(a))
+    .slice(0, limit);
+};
+
+/**
+ * One object per element matching `selectors.block`, with the fields whose
+ * selectors are set (the block's own text when `text` is empty). Blocks
+ * without text are dropped. Throws on an invalid selector.
+ */
+export const extractBlocks = (doc, selectors) => {
+  const pick = (block, selector) => (selector ? block.querySelector(selector) : null);
+  return Array.from(doc.querySelectorAll(selectors.block)).map(block => {
+    const record = { text: selectors.text ? textOf(pick(block, selectors.text)) : textOf(block) };
+    if (selectors.date) record.date = dateOf(pick(block, selectors.date));
+    if (selectors.rating) record.rating = ratingOf(pick(block, selectors.rating));
+    if (selectors.author) record.author = textOf(pick(block, selectors.author));
+    return record;
+  }).filter(record => record.text);
+};
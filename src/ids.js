@@ -0,0 +1,35 @@
+/**
+ * --- REVIEW IDS ---
+ * Numeric review ids that stay unique: time-based so they follow creation
+ * order, and monotonic so rows of the same import, or two imports in quick
+ * succession, never share one.
+ */
+
+let lastId = 0;
+
+export const nextId = () => {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+};
+
+/**
+ * Makes loaded history safe to extend: ids are reserved so new ones come
+ * after them, and duplicates left by earlier `Date.now() + index` imports
+ * are given fresh ids (the first occurrence keeps its id).
+ */
+export const withUniqueIds = (items) => {
+  items.forEach(item => {
+    if (typeof item.id === 'number' && item.id > lastId) lastId = item.id;
+  });
+  const seen = new Set();
+  let changed = false;
+  const result = items.map(item => {
+    if (!seen.has(item.id)) {
+      seen.add(item.id);
+      return item;
+    }
+    changed = true;
+    return { ...item, id: nextId() };
+  });
+  return changed ? result : items;
+};
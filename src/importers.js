@@ -0,0 +1,202 @@
+/**
+ * --- IMPORT HELPERS ---
+ * Turns tabular rows (from CSV, Excel or flattened JSON) into review records
+ * using a user-confirmed column mapping, and resolves raw label values.
+ */
+
+export const SENTIMENT_LABELS = ['Positive', 'Negative', 'Neutral'];
+export const METADATA_FIELDS = ['date', 'source', 'product', 'rating'];
+
+/**
+ * Built-in aliases for label values found in third-party datasets.
+ * Keys are lowercased; user overrides take precedence. Bare -1/0/1 are
+ * polarity scores, so '1' is Positive rather than a one-star rating.
+ */
+export const DEFAULT_LABEL_ALIASES = {
+  pos: 'Positive', good: 'Positive', happy: 'Positive', '+': 'Positive', '+1': 'Positive', '1': 'Positive', yes: 'Positive',
+  neg: 'Negative', bad: 'Negative', unhappy: 'Negative', '-': 'Negative', '-1': 'Negative', no: 'Negative',
+  neu: 'Neutral', neutral: 'Neutral', mixed: 'Neutral', ok: 'Neutral', okay: 'Neutral', '0': 'Neutral'
+};
+
+const COLUMN_HINTS = {
+  text: /review|comment|text|feedback|body|content|message|description/i,
+  label: /label|sentiment|class|category/i,
+  date: /date|time|created|submitted/i,
+  source: /source|channel|platform|origin/i,
+  product: /product|sku|item|model/i,
+  rating: /rating|stars|score/i
+};
+
+const toCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Normalizes a sheet to a rectangular array of string cells.
+ */
+export const normalizeRows = (rows) => {
+  const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+  return rows.map(r => Array.from({ length: width }, (_, i) => toCell(r[i])));
+};
+
+/**
+ * Proposes a mapping from header names, falling back to the column with the
+ * longest average content for the review text.
+ * Columns are referenced by index; -1 means "not mapped".
+ * Pass hasHeader when the source always has one (e.g. JSON keys).
+ */
+export const guessColumnMapping = (rows, { hasHeader } = {}) => {
+  const header = rows[0] || [];
+  const looksLikeHeader = hasHeader ?? (rows.length > 1 && header.some(cell => Object.values(COLUMN_HINTS).some(re => re.test(cell))));
+  const mapping = { hasHeader: looksLikeHeader, text: -1, label: -1 };
+  METADATA_FIELDS.forEach(f => { mapping[f] = -1; });
+
+  if (looksLikeHeader) {
+    const taken = new Set();
+    ['text', 'label', ...METADATA_FIELDS].forEach(role => {
+      const idx = header.findIndex((cell, i) => !taken.has(i) && COLUMN_HINTS[role].test(cell));
+      if (idx !== -1) {
+        mapping[role] = idx;
+        taken.add(idx);
+      }
+    });
+  }
+
+  if (mapping.text === -1) {
+    const body = rows.slice(mapping.hasHeader ? 1 : 0, 50);
+    let bestAvg = -1;
+    header.forEach((_, i) => {
+      const avg = body.reduce((sum, r) => sum + (r[i] || '').length, 0) / (body.length || 1);
+      if (avg > bestAvg) {
+        bestAvg = avg;
+        mapping.text = i;
+      }
+    });
+  }
+  return mapping;
+};
+
+/**
+ * Applies a column mapping. Returns { text, rawLabel, metadata } records;
+ * rows with an empty text cell are dropped.
+ */
+export const mapRowsToRecords = (rows, mapping) => {
+  const body = mapping.hasHeader ? rows.slice(1) : rows;
+  return body
+    .map(row => {
+      const metadata = {};
+      METADATA_FIELDS.forEach(field => {
+        const value = mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+        if (value) metadata[field] = value;
+      });
+      return {
+        text: (row[mapping.text] || '').trim(),
+        rawLabel: mapping.label >= 0 ? (row[mapping.label] || '').trim() : '',
+        metadata
+      };
+    })
+    .filter(record => record.text.length > 0);
+};
+
+// Only values that say they are ratings; bare digits are ambiguous with 0/1 and -1/0/1 labels
+const STAR_RATING = /^(\d(?:\.\d+)?)\s*(?:stars?|\/\s*5|★+)$/;
+
+/**
+ * Resolves a raw label cell to a sentiment class.
+ * status is 'accepted' (already a class name), 'remapped' (alias, override or
+ * a 1-5 star rating such as "4 stars", "2/5" or "3★") or 'rejected' (empty
+ * or unrecognized).
+ * An override of '' explicitly rejects that value.
+ */
+export const resolveLabel = (raw, overrides = {}) => {
+  const key = String(raw ?? '').trim().toLowerCase();
+  if (!key) return { label: null, status: 'rejected' };
+
+  if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+    const label = overrides[key];
+    return label ? { label, status: 'remapped' } : { label: null, status: 'rejected' };
+  }
+
+  const exact = SENTIMENT_LABELS.find(l => l.toLowerCase() === key);
+  if (exact) return { label: exact, status: 'accepted' };
+
+  if (Object.prototype.hasOwnProperty.call(DEFAULT_LABEL_ALIASES, key)) return { label: DEFAULT_LABEL_ALIASES[key], status: 'remapped' };
+
+  const stars = key.match(STAR_RATING);
+  if (stars) {
+    const n = parseFloat(stars[1]);
+    if (n >= 1 && n <= 5) {
+      const label = n < 2.5 ? 'Negative' : n < 3.5 ? 'Neutral' : 'Positive';
+      return { label, status: 'remapped' };
+    }
+  }
+  return { label: null, status: 'rejected' };
+};
+
+/**
+ * Distinct raw values of the label column with their counts, most frequent first.
+ */
+export const collectLabelValues = (rows, mapping) => {
+  if (mapping.label < 0) return [];
+  const counts = {};
+  (mapping.hasHeader ? rows.slice(1) : rows).forEach(row => {
+    const value = (row[mapping.label] || '').trim();
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Parses a JSON array (or an object wrapping one) or JSON Lines into plain objects.
+ * Returns { objects, errors } where errors lists the unparseable JSONL line numbers.
+ */
+export const parseJSONRecords = (text) => {
+  const trimmed = text.trim();
+  try {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) return { objects: data, errors: [] };
+    const nested = data && typeof data === 'object' && Object.values(data).find(Array.isArray);
+    if (nested) return { objects: nested, errors: [] };
+    return { objects: [data], errors: [] };
+  } catch (e) {
+    // Not a single JSON document: fall through to JSON Lines
+  }
+
+  const objects = [];
+  const errors = [];
+  trimmed.split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    try {
+      objects.push(JSON.parse(line));
+    } catch (e) {
+      errors.push(idx + 1);
+    }
+  });
+  return { objects, errors };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dot-path fields ("author.name") so any field can be mapped
+const flattenObject = (object, prefix = '', into = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) flattenObject(value, path, into);
+    else into[path] = value;
+  });
+  return into;
+};
+
+/**
+ * Flattens objects into a header row plus value rows so JSON sources can use
+ * the same column mapping as CSV/Excel. Nested fields get dot-path columns;
+ * arrays stay JSON. Bare strings become a "text" column.
+ */
+export const objectsToRows = (objects) => {
+  const items = objects.map(o => (isPlainObject(o) ? flattenObject(o) : { text: o }));
+  const keys = [];
+  const seen = new Set();
+  items.forEach(o => Object.keys(o).forEach(k => { if (!seen.has(k)) { seen.add(k); keys.push(k); } }));
+  const cell = (v) => (v !== null && typeof v === 'object' ? JSON.stringify(v) : toCell(v));
+  return [keys, ...items.map(o => keys.map(k => cell(o[k])))];
+};
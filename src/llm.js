@@ -0,0 +1,304 @@
+/**
+ * --- LLM PROVIDER LAYER ---
+ * One interface over Gemini, OpenAI-compatible endpoints, local servers
+ * (Ollama / llama.cpp) and a deterministic offline mock.
+ *
+ * Every call resolves to a typed result instead of throwing:
+ *   { ok: true, text, stopped? }
+ *   { ok: false, error: { type, message, status? } }
+ * error.type is one of 'config' | 'network' | 'http' | 'empty' | 'aborted'.
+ */
+
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    fields: ['apiKey', 'model'],
+    defaults: { apiKey: '', model: 'gemini-2.5-flash-preview-09-2025' }
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    fields: ['baseUrl', 'apiKey', 'model'],
+    defaults: { baseUrl: 'https://api.openai.com/v1', apiKey: '', model: 'gpt-4o-mini' }
+  },
+  local: {
+    label: 'Local server (Ollama / llama.cpp)',
+    fields: ['baseUrl', 'model'],
+    defaults: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }
+  },
+  mock: {
+    label: 'Mock (offline, deterministic)',
+    fields: [],
+    defaults: {}
+  }
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'gemini',
+  ...Object.fromEntries(Object.entries(PROVIDERS).map(([id, p]) => [id, { ...p.defaults }]))
+};
+
+const MAX_ATTEMPTS = 3;
+
+const success = (text) => ({ ok: true, text });
+const failure = (type, message, extra = {}) => ({ ok: false, error: { type, message, ...extra } });
+
+const isRetryable = (error) => error.type === 'network' || (error.type === 'http' && (error.status === 429 || error.status >= 500));
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isAbort = (err) => err.name === 'AbortError';
+
+// Shared by the plain and streaming requests: resolves to { ok: true, response } or a failure
+const post = async (url, body, headers, signal) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (isAbort(err)) return failure('aborted', 'The request was cancelled.');
+    return failure('network', `Could not reach ${new URL(url).host}: ${err.message}`);
+  }
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    return failure('http', `Request failed with status ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`, { status: response.status });
+  }
+  return { ok: true, response };
+};
+
+const postJSON = async (url, body, headers = {}, signal) => {
+  const result = await post(url, body, headers, signal);
+  if (!result.ok) return result;
+  try {
+    return { ok: true, data: await result.response.json() };
+  } catch (err) {
+    return failure('http', 'Response was not valid JSON.');
+  }
+};
+
+/**
+ * POSTs and reads a server-sent-events response, calling onEvent with each
+ * parsed `data:` payload. Resolves to { ok: true, stopped } or a failure;
+ * an abort mid-stream counts as a stop, not an error.
+ */
+const postStream = async (url, body, headers, { signal, onEvent }) => {
+  const result = await post(url, body, headers, signal);
+  if (!result.ok) return result.error.type === 'aborted' ? { ok: true, stopped: true } : result;
+  if (!result.response.body) return failure('http', 'This browser cannot read streamed responses.');
+
+  const reader = result.response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(line => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+        try {
+          onEvent(JSON.parse(data));
+        } catch (err) {
+          // Keep-alive comments and malformed chunks are skipped
+        }
+      });
+    }
+  } catch (err) {
+    if (isAbort(err)) return { ok: true, stopped: true };
+    return failure('network', `The stream was interrupted: ${err.message}`);
+  }
+  return { ok: true, stopped: false };
+};
+
+// Collects streamed chunks into the final text result
+const streamText = async (url, body, headers, { signal, onDelta }, extractChunk) => {
+  let text = '';
+  const result = await postStream(url, body, headers, {
+    signal,
+    onEvent: (event) => {
+      const chunk = extractChunk(event);
+      if (!chunk) return;
+      text += chunk;
+      onDelta(chunk, text);
+    }
+  });
+  if (!result.ok) return result;
+  if (result.stopped) return { ok: true, text, stopped: true };
+  return text ? success(text) : failure('empty', 'The model returned no content.');
+};
+
+// Gemini's responseSchema is an OpenAPI subset with upper-case type names
+const toGeminiSchema = (schema) => {
+  const out = { type: schema.type.toUpperCase() };
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+  }
+  if (schema.required) out.required = schema.required;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  return out;
+};
+
+const withoutName = ({ name, ...schema }) => schema;
+
+// A multi-turn request carries `messages`; single-shot requests only a prompt
+const conversationOf = ({ prompt, messages }) => messages || [{ role: 'user', content: prompt }];
+
+// --- Provider implementations: (request, config, options) => Promise<result> ---
+
+const geminiText = (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('');
+
+const sendGemini = async (request, config, options) => {
+  const { system, schema } = request;
+  const base = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}`;
+  const payload = {
+    contents: conversationOf(request).map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }))
+  };
+  if (system) payload.systemInstruction = { parts: [{ text: system }] };
+  if (schema) payload.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) };
+
+  if (options.onDelta) {
+    return streamText(`${base}:streamGenerateContent?alt=sse&key=${config.apiKey}`, payload, {}, options, geminiText);
+  }
+  const result = await postJSON(`${base}:generateContent?key=${config.apiKey}`, payload, {}, options.signal);
+  if (!result.ok) return result;
+  const text = geminiText(result.data);
+  return text ? success(text) : failure('empty', 'The model returned no content.');
+};
+
+const sendChatCompletions = async (request, config, options) => {
+  const { system, schema } = request;
+  if (!config.baseUrl) return failure('config', 'No base URL configured.');
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push(...conversationOf(request));
+
+  const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+  const body = { model: config.model, messages };
+  if (schema) body.response_format = { type: 'json_schema', json_schema: { name: schema.name || 'response', schema: withoutName(schema) } };
+
+  if (options.onDelta) {
+    return streamText(url, { ...body, stream: true }, headers, options, event => event.choices?.[0]?.delta?.content);
+  }
+  const result = await postJSON(url, body, headers, options.signal);
+  if (!result.ok) return result;
+  const text = result.data.choices?.[0]?.message?.content;
+  return text ? success(text) : failure('empty', 'The model returned no content.');
+};
+
+// --- Mock provider: deterministic canned output per task, for offline work and tests ---
+
+const MOCK_POSITIVE = /\b(great|love|excellent|amazing|fast|good|happy|perfect|awesome)\b/gi;
+const MOCK_NEGATIVE = /\b(terrible|bad|slow|rude|broken|waste|awful|hate|refund|poor)\b/gi;
+
+const mockSentiment = (text = '') => {
+  const pos = (text.match(MOCK_POSITIVE) || []).length;
+  const neg = (text.match(MOCK_NEGATIVE) || []).length;
+  if (pos > neg) return { label: 'Positive', strength: pos - neg };
+  if (neg > pos) return { label: 'Negative', strength: neg - pos };
+  return { label: 'Neutral', strength: 0 };
+};
+
+const MOCK_TASKS = {
+  verify: ({ text }) => {
+    const { label, strength } = mockSentiment(text);
+    return JSON.stringify({
+      sentiment: label,
+      confidence: Math.min(0.95, 0.5 + 0.15 * strength),
+      reasoning: `Mock analysis found ${strength} more ${label === 'Negative' ? 'negative' : 'positive'} cue words than opposing ones.`
+    });
+  },
+  reply: ({ text, label }) => (label === 'Negative'
+    ? `We're sorry to hear about your experience. We'd like to make this right, so please reach out to our support team and reference: "${(text || '').slice(0, 40)}".`
+    : `Thank you so much for your feedback! We're glad you took the time to share it with us.`),
+  synthetic: () => JSON.stringify({
+    reviews: [
+      { text: 'Setup took two minutes and everything just worked.', label: 'Positive' },
+      { text: 'Support answered within the hour and fixed my billing issue.', label: 'Positive' },
+      { text: 'The app crashes every time I upload a photo.', label: 'Negative' },
+      { text: 'Shipping took three weeks and nobody answered my emails.', label: 'Negative' },
+      { text: 'It does what it says, nothing more.', label: 'Neutral' }
+    ]
+  }),
+  report: ({ items = [] }) => {
+    const counts = { Positive: 0, Negative: 0, Neutral: 0 };
+    items.forEach(i => { if (counts[i.label] !== undefined) counts[i.label]++; });
+    return JSON.stringify({
+      overallTrend: `${counts.Positive} positive, ${counts.Negative} negative and ${counts.Neutral} neutral reviews in this sample.`,
+      complaints: ['(mock) Delivery delays', '(mock) Slow support responses'],
+      praisedFeatures: ['(mock) Ease of use', '(mock) Value for money'],
+      recommendation: '(mock) Follow up on negative reviews within 24 hours.'
+    });
+  },
+  chat: ({ question, reviewCount, contextIds = [] }) => `(Mock analyst) You asked: "${question}". I can see ${reviewCount ?? 'some'} reviews, but the mock provider does not analyze them.${contextIds.length ? ` Most relevant: ${contextIds.slice(0, 3).map(id => `[#${id}]`).join(' ')}` : ''}`
+};
+
+const MOCK_STREAM_DELAY = 30;
+
+const sendMock = async ({ task, prompt, input = {} }, config, { signal, onDelta }) => {
+  const handler = MOCK_TASKS[task];
+  const text = handler ? handler(input) : `(Mock) ${String(prompt).slice(0, 120)}`;
+  if (!onDelta) return success(text);
+
+  // Word-by-word so the streaming UI can be exercised offline
+  let streamed = '';
+  for (const chunk of text.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) return { ok: true, text: streamed, stopped: true };
+    await delay(MOCK_STREAM_DELAY);
+    streamed += chunk;
+    onDelta(chunk, streamed);
+  }
+  return success(streamed);
+};
+
+const SENDERS = {
+  gemini: sendGemini,
+  openai: sendChatCompletions,
+  local: sendChatCompletions,
+  mock: sendMock
+};
+
+/**
+ * Sends one request through the configured provider, retrying transient
+ * failures with exponential backoff.
+ *
+ * request: { task, prompt, messages?, system?, input?, schema? } — `task`
+ *   names the feature ('verify', 'reply', 'report', 'synthetic', 'chat');
+ *   `messages` ([{ role: 'user' | 'assistant', content }]) replaces `prompt`
+ *   for multi-turn chat; `input` carries the structured arguments the mock
+ *   provider uses instead of parsing prompts; `schema` asks the provider for
+ *   JSON output.
+ * options: { onDelta?(chunk, textSoFar), signal? } — with onDelta the reply
+ *   is streamed; aborting `signal` stops it and resolves with the partial
+ *   text and `stopped: true`.
+ */
+export const callLLM = async (request, settings = DEFAULT_LLM_SETTINGS, options = {}) => {
+  const send = SENDERS[settings.provider];
+  if (!send) return failure('config', `Unknown provider "${settings.provider}".`);
+  const config = { ...PROVIDERS[settings.provider].defaults, ...settings[settings.provider] };
+
+  // Once text has been streamed to the caller a retry would repeat it
+  let streamed = false;
+  const sendOptions = {
+    signal: options.signal,
+    onDelta: options.onDelta && ((chunk, text) => { streamed = true; options.onDelta(chunk, text); })
+  };
+
+  let result;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    result = await send(request, config, sendOptions);
+    if (result.ok || streamed || !isRetryable(result.error)) return result;
+    if (attempt < MAX_ATTEMPTS - 1) await delay(1000 * Math.pow(2, attempt));
+    if (options.signal?.aborted) return failure('aborted', 'The request was cancelled.');
+  }
+  return result;
+};
@@ -0,0 +1,69 @@
+/**
+ * --- FILE PARSER LIBRARIES ---
+ * SheetJS, Mammoth and pdf.js are bundled with the app and imported the
+ * first time their format is used, each as its own chunk, so Excel, Word
+ * and PDF import work offline and behind proxies that block public CDNs.
+ * The loader tracks per-library availability for the upload card and
+ * retries loads that failed.
+ */
+
+export const PARSERS = {
+  excel: { label: 'Excel', formats: ['xlsx', 'xls'] },
+  word: { label: 'Word', formats: ['docx'] },
+  pdf: { label: 'PDF', formats: ['pdf'] }
+};
+
+// CommonJS builds arrive as the default export of the module namespace
+const unwrap = (mod) => mod.default || mod;
+
+const LOADERS = {
+  excel: () => import('xlsx').then(unwrap),
+  word: () => import('mammoth/mammoth.browser').then(unwrap),
+  // pdf.js's webpack entry starts its worker through `new Worker(new URL(...))`,
+  // which webpack emits as a separate chunk, so parsing stays off the main thread
+  pdf: () => import('pdfjs-dist/webpack').then(unwrap)
+};
+
+export const parserForFormat = (format) => Object.keys(PARSERS).find(id => PARSERS[id].formats.includes(format)) || null;
+
+/**
+ * `load(id)` resolves to the library, importing it at most once. Its state
+ * ({ status: 'idle' | 'loading' | 'ready' | 'error', error }) is published
+ * to `subscribe` listeners; a failed import is forgotten so the next
+ * `load` tries again.
+ */
+export const createParserLoader = () => {
+  const loads = new Map();
+  const listeners = new Set();
+  let state = Object.fromEntries(Object.keys(PARSERS).map(id => [id, { status: 'idle', error: null }]));
+
+  const setState = (id, next) => {
+    state = { ...state, [id]: next };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const load = (id) => {
+    if (!loads.has(id)) {
+      setState(id, { status: 'loading', error: null });
+      loads.set(id, LOADERS[id]().then(
+        (lib) => {
+          setState(id, { status: 'ready', error: null });
+          return lib;
+        },
+        (err) => {
+          loads.delete(id);
+          setState(id, { status: 'error', error: err.message || 'Failed to load' });
+          throw err;
+        }
+      ));
+    }
+    return loads.get(id);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { load, subscribe, getState: () => state };
+};
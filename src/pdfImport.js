@@ -0,0 +1,46 @@
+/**
+ * --- PDF IMPORT ---
+ * Pulls the text layer out of PDF survey exports with pdf.js, rebuilding
+ * line breaks from the text runs and separating pages with a blank line.
+ * Scanned PDFs without a text layer come back empty.
+ */
+
+const abortError = () => {
+  const err = new Error('Import cancelled');
+  err.name = 'AbortError';
+  return err;
+};
+
+const pageText = (content) => {
+  const lines = [];
+  let line = '';
+  content.items.forEach(item => {
+    line += item.str;
+    if (item.hasEOL) {
+      lines.push(line);
+      line = '';
+    }
+  });
+  if (line) lines.push(line);
+  return lines.join('\n');
+};
+
+/**
+ * Text of every page, using the pdf.js instance passed in. Reports
+ * `onProgress({ done, total })` per page and stops when `signal` aborts.
+ */
+export const extractPdfText = async (pdfjsLib, data, { onProgress = () => {}, signal } = {}) => {
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  try {
+    const pages = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      if (signal?.aborted) throw abortError();
+      const page = await pdf.getPage(n);
+      pages.push(pageText(await page.getTextContent()));
+      onProgress({ done: n, total: pdf.numPages });
+    }
+    return pages.join('\n\n');
+  } finally {
+    pdf.destroy();
+  }
+};
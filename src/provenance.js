@@ -0,0 +1,56 @@
+/**
+ * --- LABEL PROVENANCE ---
+ * Every history item records where its label came from (labelSource) and
+ * every change to it (labelHistory), so training can exclude the model's
+ * own guesses.
+ */
+
+export const LABEL_SOURCES = {
+  seed: 'Seed',
+  import: 'Ground truth',
+  human: 'Human verified',
+  model: 'Model prediction',
+  synthetic: 'AI synthetic'
+};
+
+// Sources a human stands behind; the rest are machine-assigned
+export const TRUSTED_SOURCES = ['seed', 'import', 'human'];
+
+/**
+ * Items saved before provenance existed are classified from the flags and
+ * timestamps they were created with.
+ */
+export const getLabelSource = (item) => {
+  if (item.labelSource) return item.labelSource;
+  if (item.verified) return 'human';
+  if (item.groundTruth) return 'import';
+  if (item.timestamp === 'Initial Data') return 'seed';
+  if (item.timestamp === 'AI Generated') return 'synthetic';
+  return 'model';
+};
+
+export const isTrusted = (item) => TRUSTED_SOURCES.includes(getLabelSource(item));
+
+/**
+ * Stamps a newly created item with its label source.
+ */
+export const withProvenance = (item, source) => ({
+  ...item,
+  labelSource: source,
+  labelHistory: [{ label: item.label, source, at: new Date().toISOString() }]
+});
+
+/**
+ * Returns a copy of item relabeled by `source`, appending to its history.
+ * Non-model labels drop the model confidence, which no longer applies.
+ */
+export const applyLabel = (item, label, source) => ({
+  ...item,
+  label,
+  labelSource: source,
+  confidence: source === 'model' ? item.confidence : undefined,
+  labelHistory: [
+    ...(item.labelHistory || [{ label: item.label, source: getLabelSource(item), at: null }]),
+    { label, source, at: new Date().toISOString() }
+  ]
+});
@@ -0,0 +1,133 @@
+/**
+ * --- PRINTABLE REPORT ---
+ * Builds a self-contained HTML page with the dashboard stats, sentiment
+ * charts (inline SVG), the aspect breakdown and the AI insight report, for
+ * printing or saving as PDF from the browser.
+ */
+import { SENTIMENT_LABELS } from './importers';
+import { isTrusted } from './provenance';
+
+const COLORS = { Positive: '#10b981', Neutral: '#94a3b8', Negative: '#f43f5e' };
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const pct = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '0%');
+
+const distributionChart = (counts, total) => {
+  const width = 600;
+  let x = 0;
+  const segments = SENTIMENT_LABELS.map(label => {
+    const w = total ? (counts[label] / total) * width : 0;
+    const rect = `<rect x="${x}" y="0" width="${w}" height="28" fill="${COLORS[label]}" />`;
+    x += w;
+    return rect;
+  }).join('');
+  return `<svg viewBox="0 0 ${width} 28" width="100%" height="28" preserveAspectRatio="none">${segments}</svg>`;
+};
+
+// Stacked bars per bucket with the rolling negative share as a line
+const trendChart = (trend) => {
+  const { buckets } = trend;
+  if (!buckets.length) return '<p class="muted">No dated reviews.</p>';
+  const width = 600;
+  const height = 160;
+  const max = Math.max(...buckets.map(b => b.total), 1);
+  const step = width / buckets.length;
+  const bars = buckets.map((bucket, i) => {
+    let y = height;
+    return SENTIMENT_LABELS.map(label => {
+      const h = (bucket.counts[label] / max) * height;
+      y -= h;
+      return h ? `<rect x="${i * step + step * 0.1}" y="${y}" width="${step * 0.8}" height="${h}" fill="${COLORS[label]}" />` : '';
+    }).join('') + (bucket.flagged ? `<circle cx="${i * step + step / 2}" cy="6" r="4" fill="#f43f5e" />` : '');
+  }).join('');
+  const points = buckets
+    .map((bucket, i) => (bucket.rollingShare === null ? null : `${i * step + step / 2},${height - bucket.rollingShare * height}`))
+    .filter(Boolean)
+    .join(' ');
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}">${bars}`
+    + `<polyline points="${points}" fill="none" stroke="#4f46e5" stroke-width="2" />`
+    + `<line x1="0" x2="${width}" y1="${height - trend.baseline * height}" y2="${height - trend.baseline * height}" stroke="#4f46e5" stroke-dasharray="4 4" stroke-width="1" />`
+    + '</svg>';
+};
+
+const listSection = (title, entries) => `
+  <h3>${escapeHtml(title)}</h3>
+  ${entries.length ? `<ul>${entries.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : '<p class="muted">None found.</p>'}`;
+
+/**
+ * `aspectCounts` is [{ name, counts: { Positive, Neutral, Negative } }];
+ * `insight` is the AI insight report or null.
+ */
+export const buildReportHTML = ({ workspace, items, trend, aspectCounts = [], insight = null, generatedAt = new Date() }) => {
+  const counts = Object.fromEntries(SENTIMENT_LABELS.map(l => [l, items.filter(i => i.label === l).length]));
+  const total = items.length;
+  const verified = items.filter(isTrusted).length;
+  const flagged = trend.buckets.filter(b => b.flagged);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Sentiment report — ${escapeHtml(workspace)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; color: #1e293b; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 15px; text-transform: uppercase; letter-spacing: .04em; color: #475569; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; margin-top: 28px; }
+  h3 { font-size: 13px; margin: 14px 0 4px; }
+  .muted { color: #94a3b8; font-size: 13px; }
+  .tiles { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+  .tile { border: 1px solid #e2e8f0; border-radius: 8px; padding: 8px; text-align: center; }
+  .tile b { display: block; font-size: 20px; }
+  .tile span { font-size: 11px; color: #64748b; text-transform: uppercase; }
+  .legend span { display: inline-block; margin-right: 12px; font-size: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #f1f5f9; }
+  ul { margin: 0; padding-left: 20px; font-size: 13px; }
+  p { font-size: 13px; line-height: 1.5; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>Sentiment report — ${escapeHtml(workspace)}</h1>
+<p class="muted">Generated ${escapeHtml(generatedAt.toLocaleString())} · ${total} reviews</p>
+
+<h2>Overview</h2>
+<div class="tiles">
+  <div class="tile"><b>${total}</b><span>Reviews</span></div>
+  ${SENTIMENT_LABELS.map(l => `<div class="tile"><b style="color:${COLORS[l]}">${counts[l]}</b><span>${l} · ${pct(counts[l], total)}</span></div>`).join('')}
+  <div class="tile"><b>${pct(verified, total)}</b><span>Verified</span></div>
+</div>
+<p>${distributionChart(counts, total)}</p>
+<div class="legend">${SENTIMENT_LABELS.map(l => `<span><i style="background:${COLORS[l]}"></i>${l}</span>`).join('')}</div>
+
+<h2>Trend</h2>
+${trendChart(trend)}
+<p class="muted">Line: rolling negative share · dashed: baseline ${pct(trend.baseline, 1)} · dots: significant negative spikes${trend.undated ? ` · ${trend.undated} undated reviews not shown` : ''}</p>
+${flagged.length ? `<h3>Negative spikes</h3><ul>${flagged.map(b => `<li>${escapeHtml(b.key)}: ${b.counts.Negative} of ${b.total} negative (${pct(b.counts.Negative, b.total)})</li>`).join('')}</ul>` : ''}
+
+${aspectCounts.length ? `<h2>Aspects</h2>
+<table>
+  <tr><th>Aspect</th>${SENTIMENT_LABELS.map(l => `<th>${l}</th>`).join('')}<th>Negative share</th></tr>
+  ${aspectCounts.map(({ name, counts: c }) => {
+    const mentions = SENTIMENT_LABELS.reduce((sum, l) => sum + c[l], 0);
+    return `<tr><td>${escapeHtml(name)}</td>${SENTIMENT_LABELS.map(l => `<td>${c[l]}</td>`).join('')}<td>${pct(c.Negative, mentions)}</td></tr>`;
+  }).join('')}
+</table>` : ''}
+
+<h2>AI Insights</h2>
+${insight ? `
+  <h3>Overall trend</h3>
+  <p>${escapeHtml(insight.overallTrend)}</p>
+  ${listSection('Top complaints', insight.complaints)}
+  ${listSection('Praised features', insight.praisedFeatures)}
+  <h3>Recommendation</h3>
+  <p>${escapeHtml(insight.recommendation)}</p>` : '<p class="muted">No AI insight report was generated for this workspace.</p>'}
+</body>
+</html>`;
+};
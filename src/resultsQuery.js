@@ -0,0 +1,143 @@
+/**
+ * --- RESULTS QUERY ---
+ * Search, filter and sort state for the Detailed Results view, and its
+ * round trip through the URL query string so a view can be shared.
+ */
+import { LABEL_SOURCES, getLabelSource, isTrusted } from './provenance';
+import { getReviewDate, parseDate } from './trends';
+import { SENTIMENT_LABELS } from './importers';
+
+export const DEFAULT_RESULTS_QUERY = {
+  q: '',
+  labels: [],         // empty = all labels
+  source: 'all',      // a LABEL_SOURCES key or 'all'
+  from: '',           // yyyy-mm-dd, inclusive
+  to: '',             // yyyy-mm-dd, inclusive
+  minConfidence: '',  // percent, 0-100
+  maxConfidence: '',
+  status: 'all',      // 'all' | 'verified' | 'unverified' | 'uncertain'
+  sort: 'recent'
+};
+
+export const SORT_OPTIONS = {
+  recent: 'Recently added',
+  'date-desc': 'Review date (newest)',
+  'date-asc': 'Review date (oldest)',
+  'confidence-asc': 'Confidence (lowest)',
+  'confidence-desc': 'Confidence (highest)'
+};
+
+export const STATUS_OPTIONS = {
+  all: 'Any status',
+  verified: 'Verified',
+  unverified: 'Unverified',
+  uncertain: 'Uncertain'
+};
+
+export const RESULTS_PAGE_SIZE = 25;
+
+export const searchTerms = (q) => q.toLowerCase().split(/\s+/).filter(Boolean);
+
+export const isDefaultQuery = (query) => Object.keys(DEFAULT_RESULTS_QUERY)
+  .every(key => String(query[key]) === String(DEFAULT_RESULTS_QUERY[key]));
+
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+/**
+ * Applies every filter in `query` and sorts the survivors.
+ * `isUncertain` is the app's confidence-threshold check.
+ */
+export const filterResults = (items, query, { isUncertain }) => {
+  const terms = searchTerms(query.q);
+  const from = query.from ? parseDate(query.from) : null;
+  const to = query.to ? parseDate(query.to) : null;
+  const min = query.minConfidence === '' ? null : Number(query.minConfidence) / 100;
+  const max = query.maxConfidence === '' ? null : Number(query.maxConfidence) / 100;
+
+  const matches = items.filter(item => {
+    if (query.labels.length && !query.labels.includes(item.label)) return false;
+    if (query.source !== 'all' && getLabelSource(item) !== query.source) return false;
+    if (query.status === 'verified' && !isTrusted(item)) return false;
+    if (query.status === 'unverified' && isTrusted(item)) return false;
+    if (query.status === 'uncertain' && !isUncertain(item)) return false;
+    if (min !== null || max !== null) {
+      // Human labels carry no model confidence, so a confidence filter excludes them
+      if (item.confidence === undefined) return false;
+      if (min !== null && item.confidence < min) return false;
+      if (max !== null && item.confidence > max) return false;
+    }
+    if (from || to) {
+      const date = getReviewDate(item);
+      if (!date) return false;
+      if (from && date < from) return false;
+      if (to && date >= endOfDay(to)) return false;
+    }
+    if (terms.length) {
+      const haystack = [item.text, ...Object.values(item.metadata || {}), ...(item.tags || [])].join(' ').toLowerCase();
+      if (!terms.every(t => haystack.includes(t))) return false;
+    }
+    return true;
+  });
+
+  return sortResults(matches, query.sort);
+};
+
+const dateValue = (item) => getReviewDate(item)?.getTime() ?? -Infinity;
+
+const COMPARATORS = {
+  'date-desc': (a, b) => dateValue(b) - dateValue(a),
+  'date-asc': (a, b) => dateValue(a) - dateValue(b),
+  'confidence-asc': (a, b) => (a.confidence ?? Infinity) - (b.confidence ?? Infinity),
+  'confidence-desc': (a, b) => (b.confidence ?? -Infinity) - (a.confidence ?? -Infinity)
+};
+
+// 'recent' keeps history order, which is newest-added first
+export const sortResults = (items, sort) => (COMPARATORS[sort] ? [...items].sort(COMPARATORS[sort]) : items);
+
+// Short parameter names keep shared links readable
+const PARAMS = {
+  q: 'q',
+  labels: 'label',
+  source: 'source',
+  from: 'from',
+  to: 'to',
+  minConfidence: 'cmin',
+  maxConfidence: 'cmax',
+  status: 'status',
+  sort: 'sort'
+};
+
+/**
+ * Writes the non-default parts of `query` into URLSearchParams.
+ */
+export const queryToParams = (query, params = new URLSearchParams()) => {
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = key === 'labels' ? query.labels.join(',') : String(query[key]);
+    const fallback = key === 'labels' ? '' : String(DEFAULT_RESULTS_QUERY[key]);
+    if (value !== fallback) params.set(param, value);
+    else params.delete(param);
+  });
+  return params;
+};
+
+// Own keys only, so values like "constructor" are rejected
+const isOption = (options, value) => Object.prototype.hasOwnProperty.call(options, value);
+
+/**
+ * Reads a query from a location.search string, ignoring invalid values.
+ */
+export const queryFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const query = { ...DEFAULT_RESULTS_QUERY };
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = params.get(param);
+    if (value === null) return;
+    if (key === 'labels') query.labels = value.split(',').filter(l => SENTIMENT_LABELS.includes(l));
+    else if (key === 'sort') query.sort = isOption(SORT_OPTIONS, value) ? value : DEFAULT_RESULTS_QUERY.sort;
+    else if (key === 'source') query.source = isOption(LABEL_SOURCES, value) ? value : DEFAULT_RESULTS_QUERY.source;
+    else if (key === 'status') query.status = isOption(STATUS_OPTIONS, value) ? value : DEFAULT_RESULTS_QUERY.status;
+    else if (key === 'minConfidence' || key === 'maxConfidence') query[key] = isNaN(Number(value)) ? '' : value;
+    else query[key] = value;
+  });
+  return query;
+};
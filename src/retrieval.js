@@ -0,0 +1,155 @@
+/**
+ * --- RETRIEVAL ---
+ * BM25 index over history so the AI features see the reviews relevant to a
+ * question rather than whatever happens to be first, plus dataset-wide
+ * aggregates the model cannot derive from a handful of reviews.
+ */
+import { tokenize, DEFAULT_PIPELINE } from './textPipeline';
+import { SENTIMENT_LABELS } from './importers';
+
+// Broader than the classifier's list: domain words like "service" matter for search
+const RETRIEVAL_STOPWORDS = [
+  'the', 'and', 'but', 'for', 'with', 'was', 'were', 'that', 'this', 'have', 'has', 'had', 'are', 'is', 'be',
+  'been', 'can', 'you', 'your', 'it', 'its', 'of', 'to', 'in', 'on', 'at', 'an', 'or', 'as', 'so', 'my', 'me',
+  'we', 'our', 'they', 'them', 'their', 'what', 'which', 'who', 'how', 'why', 'when', 'do', 'does', 'did',
+  'about', 'from', 'there', 'any', 'all', 'some', 'very', 'just', 'also', 'than', 'then', 'too', 'i'
+];
+
+const SEARCH_PIPELINE = { ...DEFAULT_PIPELINE, negation: false, bigrams: false, stopwordList: RETRIEVAL_STOPWORDS };
+// Unstemmed so the terms read naturally when shown to the model
+const TERM_PIPELINE = { ...SEARCH_PIPELINE, stemming: false, emoticons: false };
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Builds an in-memory BM25 index. Returns { docs, df, avgLength }.
+ */
+export const buildIndex = (items) => {
+  const df = new Map();
+  const docs = items.map(item => {
+    const tf = new Map();
+    const tokens = tokenize(item.text, SEARCH_PIPELINE);
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+    return { item, tf, length: tokens.length };
+  });
+  const avgLength = docs.length ? docs.reduce((sum, d) => sum + d.length, 0) / docs.length : 0;
+  return { docs, df, avgLength };
+};
+
+/**
+ * Ranks indexed items against a free-text query.
+ * Returns up to `limit` [{ item, score }] with score > 0, best first.
+ */
+export const search = (index, query, { limit = 20, filter = () => true } = {}) => {
+  const terms = [...new Set(tokenize(query, SEARCH_PIPELINE))];
+  const n = index.docs.length;
+  const idf = new Map(terms.map(t => {
+    const df = index.df.get(t) || 0;
+    return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+  }));
+
+  const scored = [];
+  index.docs.forEach(doc => {
+    if (!filter(doc.item)) return;
+    let score = 0;
+    terms.forEach(t => {
+      const f = doc.tf.get(t);
+      if (!f) return;
+      score += idf.get(t) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / (index.avgLength || 1)));
+    });
+    if (score > 0) scored.push({ item: doc.item, score });
+  });
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * Aggregates over the whole dataset: label counts and the terms most
+ * characteristic of each class (document frequency weighted by lift over
+ * the other classes).
+ */
+export const computeStats = (items, { topTerms = 8 } = {}) => {
+  const counts = Object.fromEntries(SENTIMENT_LABELS.map(l => [l, 0]));
+  const termDocs = Object.fromEntries(SENTIMENT_LABELS.map(l => [l, new Map()]));
+  items.forEach(item => {
+    if (counts[item.label] === undefined) return;
+    counts[item.label]++;
+    new Set(tokenize(item.text, TERM_PIPELINE)).forEach(t => termDocs[item.label].set(t, (termDocs[item.label].get(t) || 0) + 1));
+  });
+
+  const termsByClass = Object.fromEntries(SENTIMENT_LABELS.map(label => {
+    const others = SENTIMENT_LABELS.filter(l => l !== label);
+    const otherTotal = others.reduce((sum, l) => sum + counts[l], 0);
+    const ranked = [...termDocs[label].entries()]
+      .map(([term, df]) => {
+        const otherDf = others.reduce((sum, l) => sum + (termDocs[l].get(term) || 0), 0);
+        const lift = ((df + 1) / (counts[label] + 2)) / ((otherDf + 1) / (otherTotal + 2));
+        return { term, df, weight: df * Math.log(lift) };
+      })
+      .filter(t => t.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, topTerms)
+      .map(t => t.term);
+    return [label, ranked];
+  }));
+
+  return { total: items.length, counts, termsByClass };
+};
+
+const MAX_REVIEW_CHARS = 300;
+
+export const formatReview = (item) => {
+  const text = item.text.length > MAX_REVIEW_CHARS ? `${item.text.slice(0, MAX_REVIEW_CHARS)}…` : item.text;
+  return `[#${item.id}] (${item.label}) ${text.replace(/\s+/g, ' ')}`;
+};
+
+export const formatStats = (stats) => [
+  `Dataset: ${stats.total} reviews (${SENTIMENT_LABELS.map(l => `${stats.counts[l]} ${l}`).join(', ')}).`,
+  ...SENTIMENT_LABELS.map(l => `Characteristic ${l} terms: ${stats.termsByClass[l].join(', ') || 'none'}.`)
+].join('\n');
+
+/**
+ * Context for a question: aggregate stats plus the best-matching reviews.
+ * When nothing matches (e.g. "summarize everything") a spread of reviews
+ * from each class is used instead. Returns { text, ids }.
+ */
+export const buildQuestionContext = (index, stats, question, { limit = 25 } = {}) => {
+  let hits = search(index, question, { limit }).map(h => h.item);
+  if (!hits.length) hits = buildClassSample(index, stats, Math.ceil(limit / SENTIMENT_LABELS.length));
+  return {
+    text: `${formatStats(stats)}\n\nRelevant reviews:\n${hits.map(formatReview).join('\n')}`,
+    ids: hits.map(h => h.id)
+  };
+};
+
+/**
+ * The reviews that best represent each class: those that score highest
+ * against the class's own characteristic terms.
+ */
+export const buildClassSample = (index, stats, perClass) => SENTIMENT_LABELS.flatMap(label => {
+  const hits = search(index, stats.termsByClass[label].join(' '), { limit: perClass, filter: item => item.label === label }).map(h => h.item);
+  if (hits.length >= perClass) return hits;
+  const seen = new Set(hits.map(h => h.id));
+  const rest = index.docs.filter(d => d.item.label === label && !seen.has(d.item.id)).slice(0, perClass - hits.length).map(d => d.item);
+  return [...hits, ...rest];
+});
+
+const CITATION_PATTERN = /\[#([\w-]+)\]/g;
+
+/**
+ * Splits model output into text and citation parts so citations can be
+ * rendered as links. Only IDs in `knownIds` become citations.
+ */
+export const splitCitations = (text, knownIds) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    if (!knownIds.has(match[1])) continue;
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ citation: match[1] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
@@ -0,0 +1,134 @@
+/**
+ * --- FORMAT SNIFFING ---
+ * Picks the import parser from a file's leading bytes as well as its
+ * extension, so renamed exports, extensionless downloads and JSON Lines
+ * or HTML saved as ".txt" still reach the right parser.
+ */
+import { parseCSV } from './csv';
+
+export const IMPORT_FORMATS = {
+  text: 'Plain text',
+  csv: 'CSV',
+  xlsx: 'Excel',
+  xls: 'Excel 97-2003',
+  docx: 'Word',
+  json: 'JSON',
+  jsonl: 'JSON Lines',
+  pdf: 'PDF',
+  html: 'HTML'
+};
+
+const EXTENSIONS = {
+  txt: 'text', text: 'text', eml: 'text',
+  csv: 'csv', tsv: 'csv',
+  xlsx: 'xlsx', xls: 'xls',
+  docx: 'docx',
+  json: 'json',
+  jsonl: 'jsonl', ndjson: 'jsonl',
+  pdf: 'pdf',
+  html: 'html', htm: 'html'
+};
+
+// Formats recognised from a binary signature, which no extension can override
+const BINARY_FORMATS = ['xlsx', 'xls', 'docx', 'pdf'];
+
+const HEAD_BYTES = 4096;
+// Zip entry names live in the central directory at the end of the file
+const ZIP_TAIL_BYTES = 64 * 1024;
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+const latin1 = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+export const formatFromExtension = (fileName) => EXTENSIONS[(fileName.split('.').pop() || '').toLowerCase()] || null;
+
+const sniffZip = (entries) => {
+  if (entries.includes('word/')) return 'docx';
+  if (entries.includes('xl/')) return 'xlsx';
+  return 'binary';
+};
+
+const looksLikeCSV = (text) => {
+  // The last line may be cut off by the sample boundary
+  const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+  const rows = parseCSV(complete).slice(0, 20);
+  return rows.length >= 3 && rows[0].length >= 2 && rows.every(row => row.length === rows[0].length);
+};
+
+// Every complete sampled line is a JSON object; used to reroute ".txt" files
+const looksLikeJSONLines = (text, isWholeFile) => {
+  const sample = isWholeFile ? text : text.slice(0, text.lastIndexOf('\n') + 1);
+  const lines = sample.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 && lines.every(line => {
+    try {
+      const value = JSON.parse(line);
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    } catch (e) {
+      return false;
+    }
+  });
+};
+
+/**
+ * Format for a text sample: HTML markup, a JSON document, JSON Lines,
+ * consistently delimited rows, or plain text.
+ */
+export const sniffText = (text) => {
+  const trimmed = text.replace(/^\ufeff/, '').trimStart();
+  if (trimmed.startsWith('<') && /<(!doctype html|html|head|body|div|article|section|main|ul|p)\b/i.test(trimmed.slice(0, 1024))) return 'html';
+  if (trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('{')) {
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    try {
+      JSON.parse(firstLine);
+      return 'jsonl';
+    } catch (e) {
+      return 'json';
+    }
+  }
+  return looksLikeCSV(trimmed) ? 'csv' : 'text';
+};
+
+/**
+ * Format for raw leading bytes (and, for zip containers, trailing bytes).
+ * Returns 'binary' for content that is not text and not a supported format.
+ */
+export const sniffBytes = (head, tail = new Uint8Array(0)) => {
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'pdf';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return sniffZip(latin1(head) + latin1(tail));
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0])) return 'xls';
+  if (head.includes(0)) return 'binary';
+  return sniffText(new TextDecoder('utf-8').decode(head));
+};
+
+/**
+ * Resolves a file's import format. Binary signatures always win; otherwise
+ * a recognised text extension is trusted, and content decides for unknown,
+ * missing or mismatched binary ones (e.g. a CSV saved as ".xls"). A ".txt"
+ * file only leaves the plain-text importer on a clear signal: HTML markup,
+ * or JSON Lines where every sampled line parses. It is never read as CSV,
+ * since reviews with a few commas each look delimited.
+ * Returns { format, sniffed, extension }; `format` is null when nothing
+ * supported was found.
+ */
+export const detectFormat = async (file) => {
+  const head = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+  const isZip = startsWith(head, [0x50, 0x4b, 0x03, 0x04]);
+  const tail = isZip && file.size > HEAD_BYTES
+    ? new Uint8Array(await file.slice(Math.max(HEAD_BYTES, file.size - ZIP_TAIL_BYTES)).arrayBuffer())
+    : undefined;
+  const sniffed = sniffBytes(head, tail);
+  const extension = formatFromExtension(file.name);
+
+  let format;
+  if (BINARY_FORMATS.includes(sniffed)) format = sniffed;
+  else if (extension === 'text') {
+    const text = new TextDecoder('utf-8').decode(head).replace(/^\ufeff/, '');
+    if (sniffed === 'html') format = 'html';
+    else if (looksLikeJSONLines(text, file.size <= HEAD_BYTES)) format = 'jsonl';
+    else format = 'text';
+  }
+  else if (extension && !BINARY_FORMATS.includes(extension)) format = extension;
+  else if (sniffed !== 'binary') format = sniffed;
+  else format = extension;
+  return { format, sniffed, extension };
+};
@@ -0,0 +1,132 @@
+/**
+ * --- PERSISTENCE LAYER ---
+ * Workspace-scoped storage. Uses IndexedDB when available and falls back to
+ * localStorage (private browsing, sandboxed iframes, older browsers).
+ */
+
+const DB_NAME = 'sentimind';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspaces';
+const LS_PREFIX = 'sentimind:';
+// Reserved keys are prefixed with "__" so they never collide with workspace names
+const META_KEY = '__meta__';
+const SETTINGS_KEY = '__settings__';
+
+export const DEFAULT_WORKSPACE = 'Default';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+});
+
+const createIndexedDbBackend = (db) => {
+  const run = (mode, action) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = action(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  return {
+    kind: 'indexeddb',
+    get: (key) => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)),
+    remove: (key) => run('readwrite', store => store.delete(key)),
+    keys: () => run('readonly', store => store.getAllKeys())
+  };
+};
+
+const localStorageBackend = {
+  kind: 'localstorage',
+  get: async (key) => {
+    const raw = window.localStorage.getItem(LS_PREFIX + key);
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+  set: async (key, value) => {
+    window.localStorage.setItem(LS_PREFIX + key, JSON.stringify(value));
+  },
+  remove: async (key) => {
+    window.localStorage.removeItem(LS_PREFIX + key);
+  },
+  keys: async () => Object.keys(window.localStorage)
+    .filter(k => k.startsWith(LS_PREFIX))
+    .map(k => k.slice(LS_PREFIX.length))
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = openDatabase()
+      .then(createIndexedDbBackend)
+      .catch(err => {
+        console.warn('IndexedDB unavailable, falling back to localStorage', err);
+        return localStorageBackend;
+      });
+  }
+  return backendPromise;
+};
+
+export const getStorageKind = async () => (await getBackend()).kind;
+
+export const listWorkspaces = async () => {
+  const backend = await getBackend();
+  const keys = await backend.keys();
+  const names = keys.filter(k => !String(k).startsWith('__'));
+  return names.length ? names.sort() : [DEFAULT_WORKSPACE];
+};
+
+/**
+ * Returns the saved workspace record, or null if it has never been saved.
+ * Record shape: { name, updatedAt, history, corrections, generatedReplies, model }
+ */
+export const loadWorkspace = async (name) => {
+  const backend = await getBackend();
+  return (await backend.get(name)) || null;
+};
+
+export const saveWorkspace = async (name, data) => {
+  const backend = await getBackend();
+  await backend.set(name, { ...data, name, updatedAt: new Date().toISOString() });
+};
+
+export const deleteWorkspace = async (name) => {
+  const backend = await getBackend();
+  await backend.remove(name);
+};
+
+export const getActiveWorkspace = async () => {
+  const backend = await getBackend();
+  const meta = await backend.get(META_KEY);
+  return meta?.activeWorkspace || DEFAULT_WORKSPACE;
+};
+
+export const setActiveWorkspace = async (name) => {
+  const backend = await getBackend();
+  const meta = (await backend.get(META_KEY)) || {};
+  await backend.set(META_KEY, { ...meta, activeWorkspace: name });
+};
+
+/**
+ * App-wide settings (LLM provider configuration). Not part of any workspace.
+ */
+export const loadSettings = async () => {
+  const backend = await getBackend();
+  return (await backend.get(SETTINGS_KEY)) || null;
+};
+
+export const saveSettings = async (settings) => {
+  const backend = await getBackend();
+  await backend.set(SETTINGS_KEY, settings);
+};
@@ -0,0 +1,212 @@
+/**
+ * --- STREAMING IMPORT ---
+ * Reads large TXT, CSV and JSON Lines files in chunks instead of loading
+ * them whole, reporting progress, honoring cancellation and collecting
+ * per-row errors for rows that are skipped.
+ */
+import { createCSVParser, detectDelimiter } from './csv';
+
+export const STREAM_CHUNK_SIZE = 1024 * 1024;
+export const MIN_TEXT_LENGTH = 6;
+const MAX_ERROR_SAMPLES = 200;
+const PREVIEW_LENGTH = 80;
+
+export const ROW_ERROR_REASONS = {
+  empty: 'Empty',
+  tooShort: `Shorter than ${MIN_TEXT_LENGTH} characters`,
+  malformed: 'Malformed'
+};
+
+/**
+ * Skipped-row report: counts per reason plus the first few rows as samples
+ * ({ line, reason, detail, preview }). Empty rows are only counted.
+ */
+export const createRowErrors = () => ({ total: 0, counts: {}, samples: [] });
+
+export const addRowError = (errors, line, reason, { detail = '', text = '' } = {}) => {
+  errors.total++;
+  errors.counts[reason] = (errors.counts[reason] || 0) + 1;
+  if (reason !== 'empty' && errors.samples.length < MAX_ERROR_SAMPLES) {
+    errors.samples.push({ line, reason, detail, preview: text.slice(0, PREVIEW_LENGTH) });
+  }
+};
+
+const abortError = () => {
+  const err = new Error('Import cancelled');
+  err.name = 'AbortError';
+  return err;
+};
+
+/**
+ * Decodes `file` as UTF-8 in chunks, calling `onText(text)` for each and
+ * `onProgress({ bytesRead, totalBytes })` after it. Multi-byte characters
+ * split across chunks are handled by the streaming decoder.
+ */
+export const readTextChunks = async (file, { onText, onProgress = () => {}, signal, chunkSize = STREAM_CHUNK_SIZE }) => {
+  const decoder = new TextDecoder('utf-8');
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    if (signal?.aborted) throw abortError();
+    const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    onText(decoder.decode(buffer, { stream: offset + chunkSize < file.size }));
+    onProgress({ bytesRead: Math.min(offset + chunkSize, file.size), totalBytes: file.size });
+  }
+  if (signal?.aborted) throw abortError();
+};
+
+/**
+ * Calls `onLine(line, lineNumber)` for every line of the file, accepting
+ * LF and CRLF endings.
+ */
+export const streamLines = async (file, { onLine, ...options }) => {
+  let rest = '';
+  let lineNumber = 0;
+  await readTextChunks(file, {
+    ...options,
+    onText: (text) => {
+      const lines = (rest + text).split('\n');
+      rest = lines.pop();
+      lines.forEach(line => onLine(line.replace(/\r$/, ''), ++lineNumber));
+    }
+  });
+  if (rest) onLine(rest.replace(/\r$/, ''), ++lineNumber);
+};
+
+// One review per line; blank and too-short lines are reported, not imported
+const collectTextLine = (texts, errors) => (line, lineNumber) => {
+  const text = line.trim();
+  if (!text) addRowError(errors, lineNumber, 'empty');
+  else if (text.length < MIN_TEXT_LENGTH) addRowError(errors, lineNumber, 'tooShort', { text });
+  else texts.push(text);
+};
+
+/**
+ * Same rules as streamTextFile for text that is already in memory (e.g.
+ * extracted from a Word document). Returns { texts, errors }.
+ */
+export const splitTextLines = (text) => {
+  const texts = [];
+  const errors = createRowErrors();
+  const onLine = collectTextLine(texts, errors);
+  text.split(/\r?\n/).forEach((line, idx) => onLine(line, idx + 1));
+  return { texts, errors };
+};
+
+export const SPLIT_MODES = {
+  line: 'One review per line',
+  blank: 'Blank line between reviews',
+  delimiter: 'Custom delimiter'
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Blank lines suggest paragraphs of wrapped text rather than one review per line
+export const guessSplitMode = (text) => (/\n[ \t]*\r?\n/.test(text.trim()) ? 'blank' : 'line');
+
+/**
+ * Splits pasted or extracted text into reviews by `mode` (see SPLIT_MODES).
+ * In the blank-line and delimiter modes a review may span lines, which are
+ * joined with spaces; errors carry the line the review starts on.
+ * Returns { texts, errors }.
+ */
+export const splitReviews = (text, mode = 'line', delimiter = '') => {
+  if (mode === 'line' || (mode === 'delimiter' && !delimiter)) return splitTextLines(text);
+  const texts = [];
+  const errors = createRowErrors();
+  const onSegment = collectTextLine(texts, errors);
+  const separator = mode === 'blank' ? '\\n(?:[ \\t]*\\n)+' : escapeRegExp(delimiter);
+  // The capture group keeps separators in the result so line numbers stay right
+  const parts = text.replace(/\r\n?/g, '\n').split(new RegExp(`(${separator})`));
+  let lineNumber = 1;
+  parts.forEach((part, idx) => {
+    if (idx % 2 === 0) onSegment(part.replace(/\s+/g, ' '), lineNumber);
+    lineNumber += part.split('\n').length - 1;
+  });
+  return { texts, errors };
+};
+
+/**
+ * Plain text: one review per line. Returns { texts, errors }.
+ */
+export const streamTextFile = async (file, { onProgress, ...options } = {}) => {
+  const texts = [];
+  const errors = createRowErrors();
+  await streamLines(file, {
+    ...options,
+    onProgress: (progress) => onProgress?.({ ...progress, rows: texts.length }),
+    onLine: collectTextLine(texts, errors)
+  });
+  return { texts, errors };
+};
+
+/**
+ * CSV rows. Rows with more fields than the first row are almost always a
+ * broken quote, so they are skipped as malformed. Returns { rows, errors }.
+ */
+export const streamCSVFile = async (file, { onProgress, ...options } = {}) => {
+  const rows = [];
+  const errors = createRowErrors();
+  let parser = null;
+  const onRow = (row, line) => {
+    if (rows.length && row.length > rows[0].length) {
+      addRowError(errors, line, 'malformed', { detail: `${row.length} fields, expected ${rows[0].length}`, text: row.join(' | ') });
+      return;
+    }
+    rows.push(row);
+  };
+  await readTextChunks(file, {
+    ...options,
+    onProgress: (progress) => onProgress?.({ ...progress, rows: rows.length }),
+    onText: (text) => {
+      if (!parser) parser = createCSVParser({ delimiter: detectDelimiter(text), onRow });
+      parser.push(text);
+    }
+  });
+  if (parser) {
+    parser.end();
+    if (parser.unterminated) addRowError(errors, null, 'malformed', { detail: 'File ends inside a quoted field' });
+  }
+  return { rows, errors };
+};
+
+/**
+ * JSON Lines objects. Lines that don't parse are reported with the parser
+ * message. Returns { objects, errors }.
+ */
+export const streamJSONLFile = async (file, { onProgress, ...options } = {}) => {
+  const objects = [];
+  const errors = createRowErrors();
+  await streamLines(file, {
+    ...options,
+    onProgress: (progress) => onProgress?.({ ...progress, rows: objects.length }),
+    onLine: (line, lineNumber) => {
+      if (!line.trim()) return;
+      try {
+        objects.push(JSON.parse(line));
+      } catch (err) {
+        addRowError(errors, lineNumber, 'malformed', { detail: err.message, text: line });
+      }
+    }
+  });
+  return { objects, errors };
+};
+
+/**
+ * Remaining time in ms from progress so far, or null until it can be estimated.
+ */
+export const estimateRemaining = ({ done, total, startedAt }, now = Date.now()) => {
+  const elapsed = now - startedAt;
+  if (!done || elapsed < 500) return null;
+  return (elapsed / done) * (total - done);
+};
+
+export const formatDuration = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,147 @@
+/**
+ * --- STRUCTURED OUTPUT ---
+ * Response schemas for the AI features, a validator for the JSON-Schema
+ * subset they use, and a caller that asks for JSON, validates the reply and
+ * makes a bounded number of repair attempts when the model drifts.
+ */
+import { SENTIMENT_LABELS } from './importers';
+
+export const VERIFY_SCHEMA = {
+  name: 'sentiment_verification',
+  type: 'object',
+  properties: {
+    sentiment: { type: 'string', enum: SENTIMENT_LABELS },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Probability that the sentiment is correct, 0 to 1' },
+    reasoning: { type: 'string', description: 'One sentence explanation' }
+  },
+  required: ['sentiment', 'confidence', 'reasoning']
+};
+
+export const SYNTHETIC_SCHEMA = {
+  name: 'synthetic_reviews',
+  type: 'object',
+  properties: {
+    reviews: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          label: { type: 'string', enum: SENTIMENT_LABELS }
+        },
+        required: ['text', 'label']
+      }
+    }
+  },
+  required: ['reviews']
+};
+
+export const REPORT_SCHEMA = {
+  name: 'insight_report',
+  type: 'object',
+  properties: {
+    overallTrend: { type: 'string' },
+    complaints: { type: 'array', maxItems: 3, items: { type: 'string' } },
+    praisedFeatures: { type: 'array', maxItems: 3, items: { type: 'string' } },
+    recommendation: { type: 'string' }
+  },
+  required: ['overallTrend', 'complaints', 'praisedFeatures', 'recommendation']
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Validates value against a schema using type, enum, properties, required,
+ * items, minItems/maxItems and minimum/maximum. Returns a list of error
+ * strings; empty means valid.
+ */
+export const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type && !(schema.type === 'integer' && Number.isInteger(value))) {
+    return [`${path} should be ${schema.type} but is ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    });
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+};
+
+/**
+ * Pulls the JSON document out of a reply that may be wrapped in code fences
+ * or surrounded by prose.
+ */
+export const extractJSON = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (e) {
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw e;
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+};
+
+const checkReply = (text, schema) => {
+  let data;
+  try {
+    data = extractJSON(text);
+  } catch (e) {
+    return { ok: false, problems: ['the reply was not valid JSON'] };
+  }
+  const problems = validateSchema(data, schema);
+  return problems.length ? { ok: false, problems } : { ok: true, data };
+};
+
+/**
+ * Sends a request that must come back as JSON matching `schema`.
+ * `callAI` is the provider-bound callLLM. On an invalid reply the model is
+ * shown its errors and asked again, at most `maxRepairs` times.
+ *
+ * Resolves to { ok: true, data } or { ok: false, error: { type, message } }
+ * where type is a provider error type or 'schema'.
+ */
+export const callStructured = async (callAI, request, schema, { maxRepairs = 1 } = {}) => {
+  let prompt = request.prompt;
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const result = await callAI({ ...request, prompt, schema });
+    if (!result.ok) return result;
+
+    const checked = checkReply(result.text, schema);
+    if (checked.ok) return { ok: true, data: checked.data };
+    if (attempt === maxRepairs) {
+      return { ok: false, error: { type: 'schema', message: `The model's reply did not match the expected format: ${checked.problems.slice(0, 3).join('; ')}.` } };
+    }
+
+    prompt = `${request.prompt}
+
+Your previous reply did not match the required JSON schema.
+Problems: ${checked.problems.slice(0, 5).join('; ')}
+Previous reply: ${result.text.slice(0, 1500)}
+Respond again with ONLY a JSON document matching this schema: ${JSON.stringify(schema)}`;
+  }
+  return { ok: false, error: { type: 'schema', message: 'No valid reply.' } };
+};
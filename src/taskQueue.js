@@ -0,0 +1,41 @@
+/**
+ * --- TASK QUEUE ---
+ * Runs async per-item tasks (LLM calls) under a concurrency cap and a
+ * request-rate limit. Tasks resolve to typed { ok, ... } results.
+ */
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `task(item)` over items with at most `concurrency` calls in flight
+ * and at most `requestsPerMinute` call starts per minute (0 = unlimited).
+ * `onResult(item, result)` fires as each call settles; `shouldStop()` is
+ * polled before every new call so a run can be cancelled mid-way.
+ * Resolves to { completed, failed, stopped }.
+ */
+export const runQueue = async (items, task, { concurrency = 2, requestsPerMinute = 0, onResult = () => {}, shouldStop = () => false } = {}) => {
+  const minInterval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let next = 0;
+  let nextStartAt = 0;
+  let completed = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      // Reserve a start slot so concurrent workers stay spaced out
+      const wait = nextStartAt - Date.now();
+      nextStartAt = Math.max(Date.now(), nextStartAt) + minInterval;
+      if (wait > 0) await delay(wait);
+      if (shouldStop()) break;
+
+      const result = await task(item);
+      if (result.ok) completed++;
+      else failed++;
+      onResult(item, result);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return { completed, failed, stopped: shouldStop() };
+};
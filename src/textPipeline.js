@@ -0,0 +1,152 @@
+/**
+ * --- TEXT PIPELINE ---
+ * Configurable tokenizer shared by training and prediction. Settings are
+ * stored with each model so both sides always tokenize the same way.
+ */
+
+export const DEFAULT_STOPWORDS = ['the', 'and', 'but', 'for', 'with', 'was', 'that', 'this', 'have', 'are', 'not', 'can', 'you', 'your', 'product', 'app', 'service'];
+
+export const DEFAULT_PIPELINE = {
+  lowercase: true,
+  minTokenLength: 2,
+  negation: true,    // prefix tokens after not/never/n't with NOT_ until punctuation
+  bigrams: false,    // add adjacent word pairs within a clause
+  emoticons: true,   // keep :) :( <3 and emoji as tokens
+  stopwords: true,
+  stopwordList: DEFAULT_STOPWORDS,
+  stemming: true
+};
+
+// Reproduces the original whitespace tokenizer; used for schema v1 models
+export const LEGACY_PIPELINE = {
+  legacy: true,
+  lowercase: true,
+  minTokenLength: 3,
+  negation: false,
+  bigrams: false,
+  emoticons: false,
+  stopwords: false,
+  stopwordList: [],
+  stemming: false
+};
+
+/**
+ * Settings for training a new model: the legacy tokenizer only exists to
+ * serve frozen v1 models, so local training always moves to the current one.
+ */
+export const trainablePipeline = (options) => (options.legacy ? { ...DEFAULT_PIPELINE } : options);
+
+export const NEGATION_PREFIX = 'NOT_';
+
+const NEGATION_CUES = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere', 'cannot', 'without']);
+
+const EMOTICON_SOURCE = "(?:<3|[:;=]'?-?[)(\\][dDpPoO/\\\\|*])(?![\\p{L}\\p{N}])";
+const EMOJI_SOURCE = '\\p{Extended_Pictographic}';
+const WORD_SOURCE = "[\\p{L}\\p{N}_]+(?:['\u2019]\\p{L}+)*";
+const CLAUSE_BREAK_SOURCE = '[.,!?;:]+';
+
+const buildPattern = (emoticons) => new RegExp(
+  emoticons
+    ? `(${EMOTICON_SOURCE})|(${EMOJI_SOURCE})|(${WORD_SOURCE})|${CLAUSE_BREAK_SOURCE}`
+    : `()()(${WORD_SOURCE})|${CLAUSE_BREAK_SOURCE}`,
+  'gu'
+);
+
+const PATTERNS = { true: buildPattern(true), false: buildPattern(false) };
+
+const emoticonToken = (emoticon) => {
+  if (emoticon === '<3') return 'EMO_HEART';
+  if (emoticon.includes("'")) return 'EMO_CRY';
+  const mouth = emoticon[emoticon.length - 1].toLowerCase();
+  if (emoticon[0] === ';') return 'EMO_WINK';
+  if (mouth === ')' || mouth === ']') return 'EMO_SMILE';
+  if (mouth === '(' || mouth === '[') return 'EMO_SAD';
+  if (mouth === 'd') return 'EMO_LAUGH';
+  if (mouth === 'p') return 'EMO_TONGUE';
+  if (mouth === 'o') return 'EMO_SURPRISE';
+  if (mouth === '*') return 'EMO_KISS';
+  return 'EMO_SKEPTICAL';
+};
+
+const isNegationCue = (word) => NEGATION_CUES.has(word) || word.endsWith("n't");
+
+/**
+ * Light suffix-stripping stemmer: folds plurals and common verb/adverb
+ * endings so "loved", "loves" and "loving" share a token. Not a full Porter
+ * stemmer; it only needs to be consistent between training and prediction.
+ */
+export const stem = (word) => {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith('ly') && w.length > 5) w = w.slice(0, -2);
+  else if (/(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+  return w;
+};
+
+const analyzeLegacy = (text, opts) => {
+  const tokens = [];
+  for (const match of text.matchAll(/\S+/g)) {
+    let token = opts.lowercase ? match[0].toLowerCase() : match[0];
+    token = token.replace(/[^\w\s]/g, '');
+    if (token.length >= opts.minTokenLength) {
+      tokens.push({ token, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Tokenizes text and keeps the character span each token came from.
+ * Returns [{ token, start, end, bigram? }]; unigrams come first, in text order.
+ */
+export const analyze = (text, options = DEFAULT_PIPELINE) => {
+  if (!text) return [];
+  const opts = { ...DEFAULT_PIPELINE, ...options };
+  if (opts.legacy) return analyzeLegacy(text, opts);
+
+  const stopwords = new Set(opts.stopwords ? opts.stopwordList : []);
+  const unigrams = [];
+  let negated = false;
+  let clause = 0;
+
+  for (const match of text.matchAll(PATTERNS[Boolean(opts.emoticons)])) {
+    const [raw, emoticon, emoji, word] = match;
+    const start = match.index;
+    const end = start + raw.length;
+
+    if (emoticon) {
+      unigrams.push({ token: emoticonToken(emoticon), start, end, clause });
+    } else if (emoji) {
+      unigrams.push({ token: emoji, start, end, clause });
+    } else if (!word) {
+      // Punctuation closes the negation scope and the bigram window
+      negated = false;
+      clause++;
+    } else {
+      const lowered = word.toLowerCase().replace(/\u2019/g, "'");
+      const base = (opts.lowercase ? lowered : word).replace(/['\u2019]/g, '');
+      if (base.length >= opts.minTokenLength && !stopwords.has(base)) {
+        const stemmed = opts.stemming ? stem(base) : base;
+        unigrams.push({ token: negated ? NEGATION_PREFIX + stemmed : stemmed, start, end, clause });
+      }
+      if (opts.negation && isNegationCue(lowered)) negated = true;
+    }
+  }
+
+  if (!opts.bigrams) return unigrams.map(({ token, start, end }) => ({ token, start, end }));
+
+  const bigrams = [];
+  for (let i = 0; i < unigrams.length - 1; i++) {
+    const a = unigrams[i];
+    const b = unigrams[i + 1];
+    if (a.clause === b.clause) bigrams.push({ token: `${a.token} ${b.token}`, start: a.start, end: b.end, bigram: true });
+  }
+  return [...unigrams.map(({ token, start, end }) => ({ token, start, end })), ...bigrams];
+};
+
+export const tokenize = (text, options) => analyze(text, options).map(t => t.token);
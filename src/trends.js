@@ -0,0 +1,146 @@
+/**
+ * --- SENTIMENT TRENDS ---
+ * Review dates, day/week bucketing, a rolling negative share and flags for
+ * periods where negativity rises significantly above the dataset baseline.
+ */
+import { SENTIMENT_LABELS } from './importers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_YEAR = 1990;
+const MAX_YEAR = 2100;
+
+const validDate = (date) => (!isNaN(date) && date.getFullYear() >= MIN_YEAR && date.getFullYear() <= MAX_YEAR ? date : null);
+
+/**
+ * Parses the date formats that show up in review exports: ISO strings,
+ * date-only values (read as local dates, not UTC), d/m/y or m/d/y, Unix
+ * seconds or milliseconds and Excel serial day numbers. Returns a Date or null.
+ */
+export const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const raw = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    const n = Number(raw);
+    if (n > 1e11) return validDate(new Date(n));
+    if (n > 1e8) return validDate(new Date(n * 1000));
+    // Excel serial day numbers count from 1899-12-30
+    if (n > 20000 && n < 80000) return validDate(new Date(Date.UTC(1899, 11, 30) + Math.round(n * DAY_MS)));
+    return null;
+  }
+
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return validDate(new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+
+  // Day-first when the first part cannot be a month, month-first otherwise
+  const slashed = raw.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})$/);
+  if (slashed) {
+    const [a, b] = [Number(slashed[1]), Number(slashed[2])];
+    const year = slashed[3].length === 2 ? 2000 + Number(slashed[3]) : Number(slashed[3]);
+    const [month, day] = a > 12 ? [b, a] : [a, b];
+    if (month > 12 || day > 31) return null;
+    return validDate(new Date(year, month - 1, day));
+  }
+
+  return validDate(new Date(raw));
+};
+
+/**
+ * Date fields for a new item. A date from the review itself wins over the
+ * moment it was captured; dateSource records which one was used.
+ */
+export const datedFields = (reviewDate, capturedAt = new Date()) => {
+  const parsed = parseDate(reviewDate);
+  return parsed
+    ? { date: parsed.toISOString(), dateSource: 'review' }
+    : { date: capturedAt.toISOString(), dateSource: 'captured' };
+};
+
+/**
+ * The item's date, including items saved before dates were recorded whose
+ * import kept a date column in metadata. Null when unknown.
+ */
+export const getReviewDate = (item) => {
+  if (item.date) return new Date(item.date);
+  return parseDate(item.metadata?.date);
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Weeks start on Monday
+const startOfBucket = (date, granularity) => {
+  const day = startOfDay(date);
+  if (granularity === 'week') day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+const nextBucket = (date, granularity) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+  return next;
+};
+
+export const bucketKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const TREND_DEFAULTS = {
+  granularity: 'day',   // 'day' | 'week'
+  window: 7,            // buckets in the rolling average
+  maxBuckets: 120,      // most recent buckets kept for display
+  includeCaptured: true,
+  minCount: 5,          // smallest bucket that can be flagged
+  zThreshold: 2         // one-sided z-score for "significantly above baseline"
+};
+
+/**
+ * Buckets dated items and scores each bucket's negative share against the
+ * baseline (negative share over all buckets) with a one-proportion z-test.
+ * Returns { buckets, baseline, undated, total }, where each bucket is
+ * { key, start, counts, total, negativeShare, rollingShare, z, flagged }.
+ */
+export const buildTrend = (items, options = {}) => {
+  const opts = { ...TREND_DEFAULTS, ...options };
+  const byKey = new Map();
+  let undated = 0;
+
+  items.forEach(item => {
+    if (!opts.includeCaptured && item.dateSource === 'captured') return;
+    const date = getReviewDate(item);
+    if (!date || isNaN(date)) {
+      undated++;
+      return;
+    }
+    const start = startOfBucket(date, opts.granularity);
+    const key = bucketKey(start);
+    if (!byKey.has(key)) byKey.set(key, { start, counts: Object.fromEntries(SENTIMENT_LABELS.map(l => [l, 0])) });
+    if (byKey.get(key).counts[item.label] !== undefined) byKey.get(key).counts[item.label]++;
+  });
+
+  if (!byKey.size) return { buckets: [], baseline: 0, undated, total: 0 };
+
+  // Fill gaps so the time axis is continuous
+  const starts = [...byKey.values()].map(b => b.start.getTime());
+  const last = new Date(Math.max(...starts));
+  let cursor = new Date(Math.min(...starts));
+  const filled = [];
+  while (cursor <= last) {
+    const key = bucketKey(cursor);
+    const bucket = byKey.get(key) || { start: new Date(cursor), counts: Object.fromEntries(SENTIMENT_LABELS.map(l => [l, 0])) };
+    const total = SENTIMENT_LABELS.reduce((sum, l) => sum + bucket.counts[l], 0);
+    filled.push({ key, start: bucket.start, counts: bucket.counts, total, negativeShare: total ? bucket.counts.Negative / total : 0 });
+    cursor = nextBucket(cursor, opts.granularity);
+  }
+
+  const total = filled.reduce((sum, b) => sum + b.total, 0);
+  const baseline = total ? filled.reduce((sum, b) => sum + b.counts.Negative, 0) / total : 0;
+  const spread = Math.sqrt(baseline * (1 - baseline));
+
+  const buckets = filled.map((bucket, i) => {
+    const windowed = filled.slice(Math.max(0, i - opts.window + 1), i + 1);
+    const windowTotal = windowed.reduce((sum, b) => sum + b.total, 0);
+    const rollingShare = windowTotal ? windowed.reduce((sum, b) => sum + b.counts.Negative, 0) / windowTotal : null;
+    const z = bucket.total && spread ? (bucket.negativeShare - baseline) / (spread / Math.sqrt(bucket.total)) : 0;
+    return { ...bucket, rollingShare, z, flagged: bucket.total >= opts.minCount && z >= opts.zThreshold };
+  });
+
+  return { buckets: buckets.slice(-opts.maxBuckets), baseline, undated, total };
+};